@@ -0,0 +1,119 @@
+/*
+ * Closed-loop test harness
+ *
+ * Runs PitPID against PitSimulator using the settings in 'config' (applied
+ * with 'configurePitPID()', as in 'index.js') and checks overshoot, settling
+ * time, and steady-state error. Exits non-zero if any limit is exceeded.
+ * 'npm test' runs the same checks (see 'test/closed-loop.test.js').
+ *
+ * Run from the repository root: node examples/closed-loop-test.js
+ */
+
+import { fileURLToPath } from "url";
+import { ConfigUtil, CELSIUS, calcControlMetrics } from "../src/utils.js";
+import { configurePitPID, configUnits } from "../src/pit-config.js";
+import PitPID from "../src/pit-pid.js";
+import PitSimulator from "../src/pit-simulator.js";
+import SimulatedClock from "../src/simulated-clock.js";
+
+const RUN_HOURS = 4;
+const SETTLE_BAND = 5; // degrees
+const STEADY_WINDOW = 60 * 60; // seconds
+
+// pass/fail limits
+const MAX_OVERSHOOT = 15; // degrees
+const MAX_SETTLING_TIME = 90 * 60; // seconds
+const MAX_STEADY_STATE_ERROR = 2; // degrees
+
+// the configured setpoint and a typical low and slow one
+function closedLoopSetPoints(config) {
+    const units = configUnits(config);
+    return [
+        ...new Set([
+            config.get("setPoint", 230),
+            units === CELSIUS ? 107 : 225,
+        ]),
+    ];
+}
+
+function runClosedLoop(config, setPoint) {
+    const clock = new SimulatedClock();
+    const pid = new PitPID(clock);
+    configurePitPID(pid, config);
+    pid.setPoint = setPoint;
+
+    const sim = new PitSimulator(clock, {}, undefined, configUnits(config));
+    sim.connect(pid);
+
+    const samples = [];
+    pid.on("status", (data) => {
+        samples.push({
+            time: clock.millis() / 1000,
+            temp: data.pitTemp,
+            output: data.pidOutput,
+        });
+    });
+
+    sim.start();
+    pid.start();
+    clock.advance(RUN_HOURS * 60 * 60 * 1000);
+    pid.stop();
+    sim.stop();
+
+    return calcControlMetrics(samples, setPoint, SETTLE_BAND, STEADY_WINDOW);
+}
+
+function check(label, value, limit, format) {
+    const pass = value !== null && value <= limit;
+    const text = value === null ? "never" : format(value);
+    console.log(
+        `  ${pass ? "PASS" : "FAIL"}  ${label}: ${text} (limit ${format(limit)})`
+    );
+    return pass;
+}
+
+function main() {
+    const config = new ConfigUtil();
+    const units = configUnits(config);
+    const degrees = (value) => `${value.toFixed(1)}${units}`;
+    const minutes = (value) => `${(value / 60).toFixed(1)} min`;
+
+    let passed = true;
+    for (const setPoint of closedLoopSetPoints(config)) {
+        const metrics = runClosedLoop(config, setPoint);
+        console.log(
+            `Setpoint ${degrees(setPoint)}, gains ${JSON.stringify(config.get("PID"))}`
+        );
+        passed =
+            check("overshoot", metrics.overshoot, MAX_OVERSHOOT, degrees) &&
+            passed;
+        passed =
+            check(
+                "settling time",
+                metrics.settlingTime,
+                MAX_SETTLING_TIME,
+                minutes
+            ) && passed;
+        passed =
+            check(
+                "steady-state error",
+                metrics.steadyStateError,
+                MAX_STEADY_STATE_ERROR,
+                degrees
+            ) && passed;
+        console.log(`        output effort: ${metrics.effort.toFixed(1)}%`);
+    }
+    process.exit(passed ? 0 : 1);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export {
+    runClosedLoop,
+    closedLoopSetPoints,
+    MAX_OVERSHOOT,
+    MAX_SETTLING_TIME,
+    MAX_STEADY_STATE_ERROR,
+};
@@ -1,18 +1,47 @@
-import { ConfigUtil, FAHRENHEIT, CELSIUS } from "./src/utils.js";
+import { ConfigUtil } from "./src/utils.js";
+import { configurePitPID, configUnits } from "./src/pit-config.js";
 import MeaterDaemon from "./src/meater-daemon.js";
 import PitPID from "./src/pit-pid.js";
 import PitAirflow from "./src/pit-airflow.js";
 import PitDisplay from "./src/pit-display.js";
+import CookProgram from "./src/cook-program.js";
+import PitCheckpoint from "./src/pit-checkpoint.js";
+import StallDetector from "./src/stall-detector.js";
+import SessionRecorder from "./src/session-recorder.js";
 
 const config = new ConfigUtil();
 
-const units = { F: FAHRENHEIT, C: CELSIUS }[config.get("units")];
+const units = configUnits(config);
 
 const display = new PitDisplay();
 
-// connect to i2c devices
-const pit = new PitAirflow();
+// connect to the output driver (PCA9685 motor hat by default)
+const driverType = config.get("driver.type", "pca9685");
+const pit = new PitAirflow(
+    1,
+    false,
+    3,
+    false,
+    config.get("driver.pca9685.address", 0x07f),
+    config.get("driver.pca9685.bus", 1),
+    driverType,
+    config.get(`driver.${driverType}`, {})
+);
 pit.fanReversed = config.get("fan.reverse", false);
+pit.damperSlewRate = config.get("servo.slewRate", null);
+pit.damperAcceleration = config.get("servo.acceleration", null);
+pit.damperSettleTime = config.get("servo.settleTime", null);
+pit.damperRefreshInterval = config.get("servo.refreshInterval", null);
+pit.setServoHold(pit.damperServo, config.get("servo.hold", false));
+pit.watchdogTimeout = config.get("watchdog.timeout", null);
+pit.failsafeDamperPosition = config.get("watchdog.damperPosition", 0);
+pit.on("error", (err) => {
+    console.error(`Output driver error: ${err.message}`);
+}).on("failsafe", (data) => {
+    console.error(
+        `Failsafe: ${data.reason}. Fan off, damper at ${data.damperPosition}%.`
+    );
+});
 
 // create and start the daemon
 const daemon = new MeaterDaemon();
@@ -20,19 +49,13 @@ daemon.units = units;
 await daemon.start();
 
 const pid = new PitPID();
-pid.pid = config.get("PID", { P: 2.5, I: 0.0035, D: 6 });
-pid.fanMinSpeed = config.get("fan.minSpeed", 0);
-pid.fanMaxSpeed = config.get("fan.maxSpeed", 100);
-pid.fanMaxStartupSpeed = config.get("fan.maxStartupSpeed", 100);
-pid.fanActiveFloor = config.get("fan.onAbove", 0);
-pid.servoMinPos = config.get("servo.minPosition", 0);
-pid.servoMaxPos = config.get("servo.maxPosition", 0);
-pid.setPoint = config.get("setPoint", 230);
-pid.lidOpenOffset = config.get("lid.lidOpenOffset", 5);
-pid.lidOpenDuration = config.get("lid.lidOpenDuration", 240);
+configurePitPID(pid, config);
 
+// PitPID reports status every period but only moves the damper on a big
+// change, so its status feeds the output watchdog
 pid.on("status", (data) => {
     // console.log(data);
+    pit.feedWatchdog();
     display.update(data);
 }).on("output", (data) => {
     if (data.type === "fan") {
@@ -43,27 +66,231 @@ pid.on("status", (data) => {
     }
 });
 
+// PitPID owns the units, the daemon (and display via 'status') follow it
+// set 'pid.units' to convert the setpoint, alarms, etc. during a cook
+pid.on("unitsChange", (data) => {
+    daemon.units = data.to;
+    console.log(`Units changed from ${data.from} to ${data.to}`);
+});
+
+pid.on("alarm", (data) => {
+    console.log(`ALARM: ${data.id} at ${data.value.toFixed(1)}${data.units}`);
+});
+
+pid.on("alarmCleared", (data) => {
+    console.log(`Alarm cleared: ${data.id}`);
+});
+
+pid.on("probeStale", (data) => {
+    console.log(`Probe ${data.probeIndex} stale (${Math.round(data.age)}s)`);
+});
+
+pid.on("probeFresh", (data) => {
+    console.log(`Probe ${data.probeIndex} reporting again`);
+});
+
+pid.on("probeRemoved", (data) => {
+    console.log(`Probe ${data.probeIndex} removed (${Math.round(data.age)}s)`);
+});
+
+pid.on("outOfFuel", (data) => {
+    const trend = `${data.trend.toFixed(0)}${data.units}/hr`;
+    console.log(`OUT OF FUEL: pit at ${data.pitTemp.toFixed(1)} (${trend})`);
+});
+
+pid.on("outOfFuelCleared", (data) => {
+    console.log(`Out of fuel cleared (${data.reason})`);
+});
+
+pid.on("probeDone", (data) => {
+    const action =
+        data.action === "hold"
+            ? `holding at ${data.holdTemp}${data.units}`
+            : "pit off";
+    console.log(
+        `Probe ${data.probeIndex} done at ${data.tip.toFixed(1)}${data.units}, ${action}`
+    );
+});
+
+pid.on("autotuneProgress", (data) => {
+    console.log(`Autotune ${data.state}: cycle ${data.cycle}/${data.cycles}`);
+});
+
+pid.on("autotuneComplete", (result) => {
+    const gains = JSON.stringify(result.pid);
+    console.log(`Autotune complete. Suggested config: "PID": ${gains}`);
+});
+
+pid.on("autotuneAbort", (data) => {
+    console.log(`Autotune aborted (${data.reason})`);
+});
+
+pid.on("lidOpen", (data) => {
+    console.log(`Lid open, blower held off for ${data.duration}s`);
+});
+
+pid.on("lidClose", (data) => {
+    console.log(`Lid closed (${data.reason})`);
+});
+
+const program = new CookProgram(pid, config.get("cookProgram", []));
+
+program.on("stageChange", (data) => {
+    const stage = data.stage;
+    console.log(
+        `Cook stage ${data.index + 1}: ${stage.name} (${stage.setPoint}°)`
+    );
+});
+
+program.on("programComplete", () => {
+    console.log("Cook program complete");
+});
+
+// a probe's done action ends the cook program, so a ramp can't override it
+pid.on("probeDone", () => {
+    if (program.isRunning) {
+        program.stop();
+        console.log("Cook program stopped (probe done)");
+    }
+});
+
+// the stall model itself is PitPID's (see 'configurePitPID()')
+const stallDetector = new StallDetector(
+    pid,
+    { reminderMinutes: config.get("stall.reminderMinutes", null) },
+    config.get("stall.advanceProgram", false) ? program : null
+);
+
+stallDetector.on("stallStart", (data) => {
+    const rate = `${data.rate.toFixed(1)}${data.units}/hr`;
+    console.log(
+        `Probe ${data.probeIndex} stalled at ${data.tip.toFixed(1)} (${rate})`
+    );
+});
+
+stallDetector.on("stallReminder", (data) => {
+    const minutes = Math.round(data.duration / 60);
+    console.log(
+        `Probe ${data.probeIndex} stalled for ${minutes} min. ${data.message}.`
+    );
+});
+
+stallDetector.on("stallEnd", (data) => {
+    const minutes = Math.round(data.duration / 60);
+    console.log(`Probe ${data.probeIndex} stall over after ${minutes} min`);
+});
+
+const checkpoint = new PitCheckpoint(pid, {
+    path: config.get("checkpoint.path", "checkpoint.json"),
+    interval: config.get("checkpoint.interval", 30),
+    maxAge: config.get("checkpoint.maxAge", 900),
+    units: units,
+    program: program,
+});
+
+checkpoint.on("restore", (data) => {
+    console.log(
+        `Resumed from checkpoint (${Math.round(data.age)}s old, ${data.setPoint}°)`
+    );
+});
+
+checkpoint.on("reject", (data) => {
+    console.log(`Discarded checkpoint (${data.reason})`);
+});
+
+// a resumed cook takes precedence over the configured autotune/program
+const isResumed =
+    config.get("checkpoint.enabled", true) && checkpoint.restore();
+
+if (!isResumed && config.get("autotune.enabled", false)) {
+    // the probes connect after the control loop starts, autotune waits for them
+    pid.autotuneTempTimeout = config.get("autotune.tempTimeout", 300);
+    pid.startAutotune({
+        rule: config.get("autotune.rule", "zieglerNichols"),
+        cycles: config.get("autotune.cycles", 3),
+        noiseBand: config.get("autotune.noiseBand", 1),
+        abortBand: config.get("autotune.abortBand", 25),
+    });
+}
+
+if (!program.isRunning && program.stages.length > 0) {
+    program.start();
+}
+
+// null session limits keep every session
+const maxTotalMB = config.get("session.maxTotalMB", 500);
+const recorder = new SessionRecorder(pid, {
+    dir: config.get("session.dir", "sessions"),
+    format: config.get("session.format", "jsonl"),
+    maxFileSize: config.get("session.maxFileSizeMB", 5) * 1024 * 1024,
+    statusInterval: config.get("session.statusInterval", 1),
+    maxSessions: config.get("session.maxSessions", 30),
+    maxTotalSize: maxTotalMB === null ? null : maxTotalMB * 1024 * 1024,
+});
+
+if (config.get("session.enabled", true)) {
+    recorder.start(config.util.toObject());
+    if (recorder.isRecording) {
+        console.log(`Recording session ${recorder.sessionId}`);
+    }
+}
+
+pid.start();
+
+if (config.get("checkpoint.enabled", true)) {
+    checkpoint.start();
+}
+
+if (config.get("stall.enabled", true)) {
+    stallDetector.start();
+}
+
 // Listen for probe connect events
 daemon.on("probeConnect", (probe) => {
+    recorder.addProbe(probe);
     probe.on("update", (data) => {
         pid.updateProbe(data);
-        // TODO: send better data to the display driver
-        if (data.probeIndex === "1") display._probe1tip = data.tip;
-        if (data.probeIndex === "2") display._probe2tip = data.tip;
         console.log(`${data.probeIndex}  ${data.tip}${data.units}`);
     });
 
     probe.once("disconnect", (id) => {
         pid.removeProbe(id);
+        recorder.removeProbe(probe);
         probe.removeAllListeners();
     });
 });
 
-// Listen for Ctrl-C and exit gracefully
-process.on("SIGINT", async () => {
-    console.log("\nReceived SIGINT.\nStopping MeaterDaemon...");
-    pit.setFanSpeed(0);
-    await daemon.stop();
-    daemon.destroy();
-    process.exit(0);
+// Leave the outputs in the safe state and exit gracefully
+// only a deliberate (clean) shutdown removes the checkpoint, so a cook
+// survives a reboot (SIGTERM) or crash
+let isShuttingDown = false;
+async function shutdown(reason, { exitCode = 0, clean = false } = {}) {
+    if (isShuttingDown) {
+        return;
+    }
+    isShuttingDown = true;
+    console.log(`\n${reason}.\nStopping MeaterDaemon...`);
+    try {
+        pit.failsafe(reason);
+        if (!clean && checkpoint.isRunning) {
+            checkpoint.save();
+        }
+        checkpoint.stop(clean);
+        stallDetector.stop();
+        recorder.stop(exitCode === 0 ? "shutdown" : "crash");
+        pid.stop();
+        await daemon.stop();
+        daemon.destroy();
+    } catch (err) {
+        console.error(`Shutdown failed: ${err.message}`);
+        exitCode = 1;
+    }
+    process.exit(exitCode);
+}
+
+process.on("SIGINT", () => shutdown("Received SIGINT", { clean: true }));
+process.on("SIGTERM", () => shutdown("Received SIGTERM"));
+process.on("uncaughtException", (err) => {
+    console.error(err);
+    shutdown(`Uncaught exception (${err.message})`, { exitCode: 1 });
 });
@@ -0,0 +1,111 @@
+/*
+ * Session replay
+ *
+ * Replays a recorded cook through PitPID with the session's settings, or with
+ * tuning overrides, and compares the replayed output against the recording (see
+ * 'src/session-replay.js'). The temperatures are replayed as recorded, so
+ * temperature metrics are only shown for the recording.
+ *
+ *   npm run replay                          list recorded sessions
+ *   npm run replay -- <id>                  replay a session
+ *   npm run replay -- <id> --overrides tune.json --speed 60
+ *   npm run replay -- <id> --frames frames --frame-interval 300
+ *
+ * '--overrides' is a JSON file in the 'config/default.json' layout merged over
+ * the session's config, '--speed' replays at a multiple of real time (default
+ * as fast as possible), and '--frames' renders PitDisplay frames to PNG files.
+ *
+ * Run from the repository root.
+ */
+
+import fs from "fs";
+import { parseArgs } from "util";
+import SessionRecorder from "./src/session-recorder.js";
+import SessionReplay from "./src/session-replay.js";
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        dir: { type: "string", default: "sessions" },
+        overrides: { type: "string" },
+        speed: { type: "string", default: "0" },
+        frames: { type: "string" },
+        "frame-interval": { type: "string", default: "60" },
+    },
+});
+
+const [id] = positionals;
+
+if (id === undefined) {
+    const sessions = SessionRecorder.listSessions(options.dir);
+    if (sessions.length === 0) {
+        console.log(`No sessions in ${options.dir}`);
+    }
+    for (const session of sessions) {
+        const stopped = session.stoppedAt
+            ? `to ${session.stoppedAt} (${session.stopReason})`
+            : "(unclean exit)";
+        console.log(`${session.id}  ${session.startedAt} ${stopped}`);
+    }
+    process.exit(0);
+}
+
+const session = SessionRecorder.openSession(id, options.dir);
+const overrides = options.overrides
+    ? JSON.parse(fs.readFileSync(options.overrides, "utf8"))
+    : {};
+
+// canvas is only needed (and loaded) to render frames
+let display = null;
+if (options.frames) {
+    const { default: PitDisplay } = await import("./src/pit-display.js");
+    display = new PitDisplay(null);
+}
+
+const replay = new SessionReplay(session, {
+    overrides: overrides,
+    speed: parseFloat(options.speed),
+    display: display,
+    frameDir: options.frames || null,
+    frameInterval: parseFloat(options["frame-interval"]),
+});
+
+const summary = await replay.run();
+
+const units = session.config && session.config.units === "C" ? "°C" : "°F";
+const degrees = (value) => `${value.toFixed(1)}${units}`;
+const minutes = (value) =>
+    value === null ? "never" : `${(value / 60).toFixed(1)} min`;
+const percent = (value) => `${value.toFixed(1)}%`;
+
+console.log(
+    `Session ${summary.session}: ${minutes(summary.duration)}, setpoint ${degrees(
+        summary.setPoint
+    )}`
+);
+if (Object.keys(overrides).length > 0) {
+    console.log(`Overrides: ${JSON.stringify(overrides)}`);
+}
+
+const rows = [
+    ["overshoot", "overshoot", degrees],
+    ["settling time", "settlingTime", minutes],
+    ["steady-state error", "steadyStateError", degrees],
+    ["mean abs error", "meanAbsError", degrees],
+];
+console.log("Recorded temperature control:");
+for (const [label, key, format] of rows) {
+    const value =
+        summary.recorded === null ? "n/a" : format(summary.recorded[key]);
+    console.log(`  ${label.padEnd(20)}${value.padStart(12)}`);
+}
+
+const effort = (value) => (value === null ? "n/a" : percent(value));
+console.log(
+    `Output effort: ${effort(summary.recordedEffort)} recorded, ${effort(
+        summary.replayedEffort
+    )} replayed`
+);
+if (summary.outputDiff !== null) {
+    console.log(`output difference: ${percent(summary.outputDiff)} (mean abs)`);
+}
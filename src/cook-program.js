@@ -0,0 +1,280 @@
+/*
+ * Cook Program
+ *
+ * Runs a multi-stage cook (ramp/soak schedule) on top of a PitPID instance.
+ * Each stage has a setpoint, an optional linear ramp from the previous
+ * setpoint, and an exit condition:
+ *
+ *   { name: "Smoke", setPoint: 225, exit: { type: "time", minutes: 180 } }
+ *   { name: "Push", setPoint: 275, rampMinutes: 30,
+ *     exit: { type: "probe", probe: "1", temp: 165 } }
+ *   { name: "Hold", setPoint: 170, exit: { type: "manual" } }
+ *
+ * A 'probe' exit accepts a probe address or probeIndex and is satisfied when
+ * that probe's tip reaches 'temp'. A 'time' exit counts from the start of the
+ * stage (including any ramp). A 'manual' exit (the default) waits for
+ * 'advance()'.
+ *
+ * The program is evaluated on each PitPID 'status' event. Emits 'stageChange'
+ * on entering a stage and 'programComplete' when the final stage exits. The
+ * pit is left at the final stage's setpoint once the program completes. The
+ * current stage is reported in the PitPID 'status' payload as 'cookStage'.
+ *
+ * Stage temperatures follow the PitPID's units when they change.
+ *
+ * 'getState()' and 'restoreState()' allow a running program to be resumed
+ * after a restart (see 'pit-checkpoint.js').
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import EventEmitter from "eventemitter3";
+import { convertTemperature } from "./utils.js";
+
+const STAGE_EXIT = {
+    TIME: "time",
+    PROBE: "probe",
+    MANUAL: "manual",
+};
+
+class CookProgram extends EventEmitter {
+    constructor(pid, stages = []) {
+        super();
+        this._pid = pid;
+        this._stages = stages.map((stage, index) =>
+            CookProgram.parseStage(stage, index)
+        );
+        this._stageIndex = null;
+        this._stageStartMillis = null;
+        this._rampFrom = null;
+        this._onStatus = (status) => this._update(status);
+        this._pid.on("unitsChange", (data) =>
+            this._convertUnits(data.from, data.to)
+        );
+    }
+
+    static parseStage(stage, index = 0) {
+        if (typeof stage.setPoint !== "number" || isNaN(stage.setPoint)) {
+            throw new Error(`Cook stage ${index}: invalid setPoint.`);
+        }
+        const exit = { type: STAGE_EXIT.MANUAL, ...stage.exit };
+        if (!Object.values(STAGE_EXIT).includes(exit.type)) {
+            throw new Error(
+                `Cook stage ${index}: invalid exit (${exit.type}).`
+            );
+        }
+        if (exit.type === STAGE_EXIT.TIME && !(exit.minutes >= 0)) {
+            throw new Error(`Cook stage ${index}: time exit needs 'minutes'.`);
+        }
+        if (
+            exit.type === STAGE_EXIT.PROBE &&
+            (exit.probe === undefined || typeof exit.temp !== "number")
+        ) {
+            throw new Error(
+                `Cook stage ${index}: probe exit needs 'probe' and 'temp'.`
+            );
+        }
+        return {
+            name: stage.name || `Stage ${index + 1}`,
+            setPoint: stage.setPoint,
+            rampMinutes: Math.max(0, stage.rampMinutes || 0),
+            exit: exit,
+        };
+    }
+
+    get stages() {
+        return this._stages.map((stage) => ({
+            ...stage,
+            exit: { ...stage.exit },
+        }));
+    }
+
+    get isRunning() {
+        return this._stageIndex !== null;
+    }
+
+    get stageIndex() {
+        return this._stageIndex;
+    }
+
+    get currentStage() {
+        return this.isRunning ? this.stages[this._stageIndex] : null;
+    }
+
+    // seconds since the current stage was entered
+    get stageElapsed() {
+        return this.isRunning
+            ? (this._pid.clock.millis() - this._stageStartMillis) / 1000
+            : null;
+    }
+
+    get isRamping() {
+        if (!this.isRunning || this._rampFrom === null) {
+            return false;
+        }
+        const rampMinutes = this._stages[this._stageIndex].rampMinutes;
+        return this.stageElapsed < rampMinutes * 60;
+    }
+
+    start(index = 0) {
+        if (this._stages.length === 0) {
+            throw new Error("Cook program has no stages.");
+        }
+        if (!this.isRunning) {
+            this._pid.on("status", this._onStatus);
+        }
+        this._enterStage(index);
+    }
+
+    stop() {
+        this._pid.off("status", this._onStatus);
+        this._stageIndex = null;
+        this._rampFrom = null;
+        this._pid.cookStage = null;
+    }
+
+    // move to the next stage (or complete the program)
+    advance() {
+        if (!this.isRunning) {
+            return;
+        }
+        if (this._stageIndex + 1 >= this._stages.length) {
+            this.stop();
+            this.emit("programComplete");
+            return;
+        }
+        this._enterStage(this._stageIndex + 1);
+    }
+
+    // snapshot for 'restoreState()' (see PitCheckpoint), null if not running
+    getState() {
+        if (!this.isRunning) {
+            return null;
+        }
+        return {
+            stageIndex: this._stageIndex,
+            stageName: this._stages[this._stageIndex].name,
+            elapsed: this.stageElapsed,
+            rampFrom: this._rampFrom,
+        };
+    }
+
+    // resume a 'getState()' snapshot without emitting 'stageChange'
+    // 'downtime' (seconds) is counted toward the stage's elapsed time
+    // returns false if the snapshot doesn't match this program's stages
+    restoreState(state, downtime = 0) {
+        const stage = this._stages[state.stageIndex];
+        if (!stage || stage.name !== state.stageName) {
+            return false;
+        }
+        if (!this.isRunning) {
+            this._pid.on("status", this._onStatus);
+        }
+        this._stageIndex = state.stageIndex;
+        this._stageStartMillis =
+            this._pid.clock.millis() - (state.elapsed + downtime) * 1000;
+        this._rampFrom = state.rampFrom;
+        this._reportStage();
+        return true;
+    }
+
+    _enterStage(index) {
+        const previousIndex = this._stageIndex;
+        const stage = this._stages[index];
+        const currentSetPoint = this._pid.setPoint;
+
+        this._stageIndex = index;
+        this._stageStartMillis = this._pid.clock.millis();
+        this._rampFrom = null;
+
+        if (stage.rampMinutes > 0 && currentSetPoint !== null) {
+            // hold the current setpoint and ramp from there
+            this._rampFrom = currentSetPoint;
+        } else {
+            this._pid.setPoint = stage.setPoint;
+        }
+
+        this._reportStage();
+        this.emit("stageChange", {
+            index: index,
+            previousIndex: previousIndex,
+            stage: this.currentStage,
+        });
+    }
+
+    _convertUnits(from, to) {
+        const convert = (temp) => convertTemperature(temp, from, to);
+        for (const stage of this._stages) {
+            stage.setPoint = convert(stage.setPoint);
+            if (stage.exit.type === STAGE_EXIT.PROBE) {
+                stage.exit.temp = convert(stage.exit.temp);
+            }
+        }
+        this._rampFrom = convert(this._rampFrom);
+        if (this.isRunning) {
+            this._reportStage();
+        }
+    }
+
+    _rampSetPoint() {
+        const stage = this._stages[this._stageIndex];
+        const pct = Math.min(1, this.stageElapsed / (stage.rampMinutes * 60));
+        const setPoint =
+            this._rampFrom + (stage.setPoint - this._rampFrom) * pct;
+        this._pid.adjustSetPoint(setPoint);
+        if (pct >= 1) {
+            this._rampFrom = null;
+        }
+    }
+
+    _findProbeTip(status, id) {
+        const probe = (status.probes || []).find(
+            // a numeric probe index (e.g. from JSON) matches the string one
+            (probe) => probe.address === id || probe.probeIndex === String(id)
+        );
+        return probe ? probe.tip : null;
+    }
+
+    _shouldExit(status) {
+        const exit = this._stages[this._stageIndex].exit;
+        switch (exit.type) {
+            case STAGE_EXIT.TIME:
+                return this.stageElapsed >= exit.minutes * 60;
+            case STAGE_EXIT.PROBE: {
+                const tip = this._findProbeTip(status, exit.probe);
+                return tip !== null && tip >= exit.temp;
+            }
+            default:
+                return false;
+        }
+    }
+
+    _reportStage() {
+        const stage = this._stages[this._stageIndex];
+        this._pid.cookStage = {
+            index: this._stageIndex,
+            numStages: this._stages.length,
+            name: stage.name,
+            setPoint: stage.setPoint,
+            elapsed: this.stageElapsed,
+            ramping: this.isRamping,
+            exit: { ...stage.exit },
+        };
+    }
+
+    _update(status) {
+        if (!this.isRunning) {
+            return;
+        }
+        if (this._rampFrom !== null) {
+            this._rampSetPoint();
+        }
+        if (this._shouldExit(status)) {
+            this.advance();
+            return;
+        }
+        this._reportStage();
+    }
+}
+
+export { CookProgram as default, CookProgram, STAGE_EXIT };
@@ -0,0 +1,351 @@
+/*
+ * Done Predictor
+ *
+ * Estimates the time remaining until a probe's tip (food) temperature reaches
+ * a target. Food heats according to Newton's law of heating, approaching the
+ * pit temperature exponentially:
+ *
+ *   dT/dt = k * (Tpit - T)
+ *
+ * The heating coefficient 'k' is fit by least squares over a recent window of
+ * tip samples, which yields the time to reach the target and a confidence
+ * range from the fit's residuals.
+ *
+ * Large cuts "stall" as evaporative cooling offsets the heat input. This is
+ * the stall model used throughout (StallDetector reports the stalls found
+ * here): a stall starts when the tip is within 'minTemp'-'maxTemp' and the
+ * fitted heating rate drops below 'startRate' (degrees per hour), and ends
+ * when it rises above 'endRate' or the tip passes 'maxTemp' (see
+ * 'stallOptions', STALL_DEFAULTS). While stalled, the estimate is the
+ * remaining stall allowance plus the time to the target at the pre-stall
+ * rate. If a stall is expected for the probe ('expectStall', e.g. a pork
+ * butt but not a chicken) and its target is beyond the stall band, the stall
+ * allowance is included before the stall is reached.
+ *
+ * Times are in seconds. Temperatures are in the units passed to the
+ * constructor (see 'convertUnits()').
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import {
+    FAHRENHEIT,
+    CELSIUS,
+    convertTemperature,
+    convertTemperatureDelta,
+} from "./utils.js";
+
+const DONE_SAMPLE_INTERVAL = 30; // (s) minimum time between stored samples
+const DONE_FIT_WINDOW = 30 * 60; // (s) history used to fit the heating rate
+const DONE_MIN_FIT_SPAN = 5 * 60; // (s) history required before predicting
+const DONE_HISTORY = 12 * 60 * 60; // (s) history kept (for the stall)
+
+// stall model defaults in °F
+const STALL_DEFAULTS = {
+    minTemp: 145,
+    maxTemp: 175,
+    startRate: 5, // degrees per hour
+    endRate: 10, // degrees per hour
+};
+
+const STALL_DURATION = 3 * 60 * 60; // (s) default stall allowance
+const STALL_MIN_REMAINING = 0.1; // ratio of the allowance assumed left in an overlong stall
+
+// the range covers roughly two standard deviations of the heating coefficient
+// and half/one and a half times the stall allowance
+const RANGE_SIGMA = 2;
+const RANGE_STALL_LOW = 0.5;
+const RANGE_STALL_HIGH = 1.5;
+
+// convert the stall model's temperatures and rates between units
+function convertStallOptions(options, from, to) {
+    return {
+        ...options,
+        minTemp: convertTemperature(options.minTemp, from, to),
+        maxTemp: convertTemperature(options.maxTemp, from, to),
+        startRate: convertTemperatureDelta(options.startRate, from, to),
+        endRate: convertTemperatureDelta(options.endRate, from, to),
+    };
+}
+
+// the stall model defaults in 'units'
+function defaultStallOptions(units) {
+    return units === CELSIUS
+        ? convertStallOptions(STALL_DEFAULTS, FAHRENHEIT, CELSIUS)
+        : { ...STALL_DEFAULTS };
+}
+
+class DonePredictor {
+    constructor(
+        units = FAHRENHEIT,
+        stallDuration = STALL_DURATION,
+        stallOptions = null // in 'units', null for STALL_DEFAULTS
+    ) {
+        this._units = units === CELSIUS ? CELSIUS : FAHRENHEIT;
+        this._stallDuration = stallDuration;
+        this._expectStall = false;
+        this.stallOptions = stallOptions;
+        this.reset();
+    }
+
+    get units() {
+        return this._units;
+    }
+
+    get stallDuration() {
+        return this._stallDuration;
+    }
+
+    set stallDuration(value) {
+        this._stallDuration = Math.max(0, value);
+    }
+
+    // include the stall allowance before a stall is reached
+    get expectStall() {
+        return this._expectStall;
+    }
+
+    set expectStall(value) {
+        this._expectStall = Boolean(value);
+    }
+
+    get stallOptions() {
+        return { ...this._stallOptions };
+    }
+
+    // { minTemp, maxTemp, startRate, endRate } in the predictor's units,
+    // missing (or null) options use STALL_DEFAULTS
+    set stallOptions(value) {
+        const options = defaultStallOptions(this._units);
+        for (const key of Object.keys(options)) {
+            if (value && value[key] !== null && value[key] !== undefined) {
+                options[key] = value[key];
+            }
+        }
+        this._stallOptions = options;
+    }
+
+    get numSamples() {
+        return this._samples.length;
+    }
+
+    // true while the tip is stalled (as of the most recent sample)
+    get isStalled() {
+        return this._stallStartTime !== null;
+    }
+
+    // { stalled, since (s), rate (degrees/hour, null until there's a fit) }
+    get stallState() {
+        return {
+            stalled: this.isStalled,
+            since: this._stallStartTime,
+            rate: this._rate,
+        };
+    }
+
+    reset() {
+        this._samples = []; // { time, tip, pit }
+        this._peakK = null; // best heating coefficient below the stall
+        this._stallStartTime = null;
+        this._rate = null; // (degrees/hour) heating rate of the latest fit
+    }
+
+    // convert stored temperatures (k is unit-free)
+    convertUnits(fromUnits, toUnits) {
+        for (const sample of this._samples) {
+            sample.tip = convertTemperature(sample.tip, fromUnits, toUnits);
+            sample.pit = convertTemperature(sample.pit, fromUnits, toUnits);
+        }
+        this._stallOptions = convertStallOptions(
+            this._stallOptions,
+            fromUnits,
+            toUnits
+        );
+        if (this._rate !== null) {
+            this._rate = convertTemperatureDelta(
+                this._rate,
+                fromUnits,
+                toUnits
+            );
+        }
+        this._units = toUnits === CELSIUS ? CELSIUS : FAHRENHEIT;
+    }
+
+    // add a tip temperature and the pit temperature it's heating toward
+    addSample(time, tip, pit) {
+        if (
+            tip === null ||
+            pit === null ||
+            isNaN(tip) ||
+            isNaN(pit) ||
+            (this._samples.length > 0 &&
+                time - this._samples[this._samples.length - 1].time <
+                    DONE_SAMPLE_INTERVAL)
+        ) {
+            return;
+        }
+        this._samples.push({ time: time, tip: tip, pit: pit });
+        while (this._samples[0].time < time - DONE_HISTORY) {
+            this._samples.shift();
+        }
+        this._updateStall(time, tip);
+    }
+
+    _updateStall(time, tip) {
+        const fit = this._fit();
+        if (fit === null) {
+            return;
+        }
+        const opts = this._stallOptions;
+        this._rate = fit.k * (fit.pit - fit.tip) * 3600;
+        if (tip < opts.minTemp) {
+            this._peakK =
+                this._peakK === null ? fit.k : Math.max(this._peakK, fit.k);
+        }
+        if (this._stallStartTime === null) {
+            if (
+                tip >= opts.minTemp &&
+                tip <= opts.maxTemp &&
+                this._rate < opts.startRate
+            ) {
+                this._stallStartTime = time;
+            }
+        } else if (this._rate > opts.endRate || tip > opts.maxTemp) {
+            this._stallStartTime = null;
+        }
+    }
+
+    // least squares fit of k (dT/dt = k * drive) over the fit window
+    // returns { k, kStd, tip, pit } or null with too little history
+    _fit() {
+        const last = this._samples[this._samples.length - 1];
+        const samples = this._samples.filter(
+            (sample) => sample.time >= last.time - DONE_FIT_WINDOW
+        );
+        if (
+            samples.length < 3 ||
+            last.time - samples[0].time < DONE_MIN_FIT_SPAN
+        ) {
+            return null;
+        }
+
+        const rates = [];
+        const drives = [];
+        for (let i = 1; i < samples.length; i++) {
+            const dt = samples[i].time - samples[i - 1].time;
+            rates.push((samples[i].tip - samples[i - 1].tip) / dt);
+            drives.push(
+                (samples[i].pit +
+                    samples[i - 1].pit -
+                    samples[i].tip -
+                    samples[i - 1].tip) /
+                    2
+            );
+        }
+
+        let sumRateDrive = 0;
+        let sumDriveSq = 0;
+        for (let i = 0; i < rates.length; i++) {
+            sumRateDrive += rates[i] * drives[i];
+            sumDriveSq += drives[i] * drives[i];
+        }
+        if (!(sumDriveSq > 0)) {
+            return null;
+        }
+        const k = sumRateDrive / sumDriveSq;
+
+        let sumResidualSq = 0;
+        for (let i = 0; i < rates.length; i++) {
+            sumResidualSq += Math.pow(rates[i] - k * drives[i], 2);
+        }
+        const residualStd = Math.sqrt(
+            sumResidualSq / Math.max(1, rates.length - 1)
+        );
+
+        return {
+            k: k,
+            kStd: residualStd / Math.sqrt(sumDriveSq),
+            tip: last.tip,
+            pit: last.pit,
+        };
+    }
+
+    // seconds to heat from 'from' to 'to' in a 'pit' at heating coefficient 'k'
+    _heatingTime(from, to, pit, k) {
+        if (to <= from) {
+            return 0;
+        }
+        if (!(k > 0) || to >= pit) {
+            return null;
+        }
+        return Math.log((pit - from) / (pit - to)) / k;
+    }
+
+    // returns { eta, etaLow, etaHigh, rate, stalled } (seconds, degrees/hour)
+    // or null if there isn't enough history or the target is unreachable
+    // (at or above the pit temperature)
+    predict(target) {
+        if (target === null || isNaN(target) || this._samples.length === 0) {
+            return null;
+        }
+        const fit = this._fit();
+        if (fit === null) {
+            return null;
+        }
+
+        const result = {
+            eta: 0,
+            etaLow: 0,
+            etaHigh: 0,
+            rate: fit.k * (fit.pit - fit.tip) * 3600,
+            stalled: this.isStalled,
+        };
+        if (fit.tip >= target) {
+            return result;
+        }
+
+        let k = fit.k;
+        let kLow = Math.max(k - RANGE_SIGMA * fit.kStd, k / 3);
+        let kHigh = k + RANGE_SIGMA * fit.kStd;
+        let stall = 0;
+
+        if (this.isStalled) {
+            // the stall ends at the pre-stall heating rate
+            const now = this._samples[this._samples.length - 1].time;
+            stall = Math.max(
+                this._stallDuration - (now - this._stallStartTime),
+                this._stallDuration * STALL_MIN_REMAINING
+            );
+            if (this._peakK !== null) {
+                k = kLow = kHigh = this._peakK;
+            }
+        } else if (
+            this._expectStall &&
+            fit.tip < this._stallOptions.minTemp &&
+            target > this._stallOptions.maxTemp
+        ) {
+            stall = this._stallDuration;
+        }
+
+        const time = this._heatingTime(fit.tip, target, fit.pit, k);
+        if (time === null) {
+            return null;
+        }
+        const timeLow = this._heatingTime(fit.tip, target, fit.pit, kHigh);
+        const timeHigh = this._heatingTime(fit.tip, target, fit.pit, kLow);
+
+        result.eta = time + stall;
+        result.etaLow = timeLow + stall * RANGE_STALL_LOW;
+        result.etaHigh =
+            timeHigh === null ? null : timeHigh + stall * RANGE_STALL_HIGH;
+        return result;
+    }
+}
+
+export {
+    DonePredictor as default,
+    DonePredictor,
+    STALL_DEFAULTS,
+    convertStallOptions,
+    defaultStallOptions,
+};
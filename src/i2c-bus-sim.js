@@ -0,0 +1,153 @@
+/*
+ * I2C Bus Simulator
+ *
+ * A stand-in for an 'i2c-bus' bus object ('writeByteSync()', 'readByteSync()',
+ * 'closeSync()') with simulated PCA9685 PWM controllers attached, so that
+ * PCA9685 and PitAirflow run without hardware (see the 'simulate' option of
+ * PitAirflow's PCA9685 driver).
+ *
+ * Each device models the PCA9685 register file: MODE1 (sleep and restart
+ * bits), PRESCALE (only writable while asleep, as on the real chip), the
+ * LEDn_ON/OFF registers of the 16 channels, and the ALL_LED registers. Every
+ * write is logged in 'writes' as { address, register, value } so tests can
+ * check the exact register writes a command produces, and 'getChannel()'
+ * decodes a channel's registers back into its PWM state.
+ *
+ * Accessing an address with no device throws, like a real bus.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+const MODE1 = 0x00;
+const PRESCALE = 0xfe;
+const LED0_ON_L = 0x06;
+const ALL_LED_ON_L = 0xfa;
+const ALL_LED_OFF_H = 0xfd;
+
+const MODE1_RESTART = 0x80;
+const MODE1_SLEEP = 0x10;
+const MODE1_ALLCALL = 0x01;
+const LED_FULL = 0x10; // bit 4 of LEDn_ON_H/LEDn_OFF_H
+
+const NUM_CHANNELS = 16;
+const OSCILLATOR_FREQ = 25000000; // (Hz) internal oscillator
+const PWM_STEPS = 4096;
+
+class I2cBusSim {
+    constructor({ devices = [0x7f], maxWrites = 10000 } = {}) {
+        this._devices = {};
+        for (const address of devices) {
+            this._devices[address] = I2cBusSim._powerOnRegisters();
+        }
+        this._maxWrites = maxWrites;
+        this.writes = [];
+    }
+
+    // register values after power on (see the PCA9685 datasheet)
+    static _powerOnRegisters() {
+        const registers = new Uint8Array(256);
+        registers[MODE1] = MODE1_SLEEP | MODE1_ALLCALL;
+        registers[PRESCALE] = 0x1e; // 200Hz
+        for (let channel = 0; channel < NUM_CHANNELS; channel++) {
+            registers[LED0_ON_L + 4 * channel + 3] = LED_FULL; // full off
+        }
+        return registers;
+    }
+
+    _device(address) {
+        if (!(address in this._devices)) {
+            throw new Error(
+                `I2cBusSim: No device at 0x${address.toString(16)} (EREMOTEIO).`
+            );
+        }
+        return this._devices[address];
+    }
+
+    writeByteSync(address, register, value) {
+        const registers = this._device(address);
+        value &= 0xff;
+        this.writes.push({
+            address: address,
+            register: register,
+            value: value,
+        });
+        if (this.writes.length > this._maxWrites) {
+            this.writes.shift();
+        }
+
+        if (register === MODE1) {
+            // writing 1 to RESTART clears it
+            registers[MODE1] = value & ~MODE1_RESTART;
+        } else if (register === PRESCALE) {
+            if (registers[MODE1] & MODE1_SLEEP) {
+                registers[PRESCALE] = value;
+            }
+        } else if (register >= ALL_LED_ON_L && register <= ALL_LED_OFF_H) {
+            const offset = register - ALL_LED_ON_L;
+            for (let channel = 0; channel < NUM_CHANNELS; channel++) {
+                registers[LED0_ON_L + 4 * channel + offset] = value;
+            }
+        } else {
+            registers[register] = value;
+        }
+        return this;
+    }
+
+    readByteSync(address, register) {
+        return this._device(address)[register];
+    }
+
+    closeSync() {}
+
+    clearWrites() {
+        this.writes = [];
+    }
+
+    isSleeping(address) {
+        return (this._device(address)[MODE1] & MODE1_SLEEP) !== 0;
+    }
+
+    // (Hz) PWM frequency set by PRESCALE
+    getFrequency(address) {
+        const prescale = this._device(address)[PRESCALE];
+        return OSCILLATOR_FREQ / (PWM_STEPS * (prescale + 1));
+    }
+
+    // decoded PWM state of a channel (0-15)
+    getChannel(address, channel) {
+        const registers = this._device(address);
+        const base = LED0_ON_L + 4 * channel;
+        const on = registers[base] | ((registers[base + 1] & 0x0f) << 8);
+        const off = registers[base + 2] | ((registers[base + 3] & 0x0f) << 8);
+        const fullOn = (registers[base + 1] & LED_FULL) !== 0;
+        const fullOff = (registers[base + 3] & LED_FULL) !== 0; // takes precedence
+
+        let dutyCycle;
+        if (fullOff) {
+            dutyCycle = 0;
+        } else if (fullOn) {
+            dutyCycle = PWM_STEPS;
+        } else {
+            dutyCycle = (off - on + PWM_STEPS) % PWM_STEPS;
+        }
+        const isActive = !this.isSleeping(address);
+        return {
+            on: on,
+            off: off,
+            fullOn: fullOn,
+            fullOff: fullOff,
+            dutyCycle: isActive ? dutyCycle : 0, // (of 4096)
+            pulseWidth: isActive
+                ? (dutyCycle / PWM_STEPS) * (1e6 / this.getFrequency(address))
+                : 0, // (µs)
+        };
+    }
+
+    getChannels(address) {
+        return Array.from({ length: NUM_CHANNELS }, (_, channel) =>
+            this.getChannel(address, channel)
+        );
+    }
+}
+
+export { I2cBusSim as default, I2cBusSim };
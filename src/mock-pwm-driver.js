@@ -0,0 +1,94 @@
+/*
+ * Mock PWM Driver
+ *
+ * An in-memory output driver with the same interface as 'pca9685-driver.js'
+ * that records every command instead of driving hardware. Useful for running
+ * PitAirflow (and everything above it) on a machine without the motor hat,
+ * and for checking what would have been sent to it.
+ *
+ * Each command is recorded as { time, type ('motor' or 'servo'), index,
+ * value, reverse } in 'commands', where 'value' is the motor duty cycle
+ * (0-4095) or servo pulse width (µs, 0 for 'setServoOff()'). Emits 'command'
+ * for each one. Command times come from 'clock' ('systemClock' from
+ * 'utils.js' by default, see 'SimulatedClock').
+ *
+ * 'close()' records nothing; check 'closed' to see that it was called.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import EventEmitter from "eventemitter3";
+import { systemClock } from "./utils.js";
+
+const DUTY_CYCLE_MIN = 0;
+const DUTY_CYCLE_MAX = 4095;
+
+class MockPwmDriver extends EventEmitter {
+    constructor({ maxCommands = 10000, clock = systemClock } = {}) {
+        super();
+        this._maxCommands = maxCommands;
+        this.clock = clock;
+        this.commands = [];
+        this.initialized = false;
+        this.closed = false;
+        // initialize asynchronously, like the hardware drivers
+        this._initTimer = setTimeout(() => {
+            this.initialized = true;
+            this.emit("initialized");
+        }, 0);
+    }
+
+    close() {
+        clearTimeout(this._initTimer);
+        this.initialized = false;
+        this.closed = true;
+    }
+
+    // most recent command of a type (and index), or null
+    lastCommand(type, index = null) {
+        for (let i = this.commands.length - 1; i >= 0; i--) {
+            const command = this.commands[i];
+            if (
+                command.type === type &&
+                (index === null || command.index === index)
+            ) {
+                return command;
+            }
+        }
+        return null;
+    }
+
+    clear() {
+        this.commands = [];
+    }
+
+    _record(type, index, value, reverse = false) {
+        const command = {
+            time: this.clock.millis(),
+            type: type,
+            index: index,
+            value: value,
+            reverse: reverse,
+        };
+        this.commands.push(command);
+        if (this.commands.length > this._maxCommands) {
+            this.commands.shift();
+        }
+        this.emit("command", command);
+    }
+
+    setMotorSpeed(motorIndex, speed, reverse = false) {
+        speed = Math.min(DUTY_CYCLE_MAX, Math.max(DUTY_CYCLE_MIN, speed));
+        this._record("motor", motorIndex, speed, reverse);
+    }
+
+    setServoPosition(servoIndex, pulseWidth) {
+        this._record("servo", servoIndex, pulseWidth);
+    }
+
+    setServoOff(servoIndex) {
+        this._record("servo", servoIndex, 0);
+    }
+}
+
+export { MockPwmDriver as default, MockPwmDriver };
@@ -11,14 +11,30 @@
  *
  * https://seengreat.com/product/211/motor-and-servo-driver-hat
  *
+ * 'i2cBus' is a bus number, opened with 'i2c-bus', or an already open bus
+ * object such as an 'I2cBusSim' (see 'i2c-bus-sim.js') to run without
+ * hardware.
+ *
+ * 'close()' closes the bus if the driver opened it (a bus object is left open
+ * for its owner). The outputs keep their last state, so turn them off first.
+ *
+ * 'failsafeCommands()' describes the register writes that turn a motor off
+ * and hold a servo position, for PitAirflow's stall watchdog to carry out
+ * from a worker thread (see 'stall-watchdog.js'). It needs a bus number, as
+ * a bus object can't be shared with the worker.
+ *
  * Ported from the SeenGreat Python example at https://seengreat.com/wiki/91/
  *
  * (c) 2023 -- Yuri -- MIT License
  */
 
-import { openSync } from "i2c-bus";
+import { createRequire } from "module";
 import EventEmitter from "eventemitter3";
 
+// 'i2c-bus' is loaded when a PCA9685 is created so that importing this module
+// (e.g. via PitAirflow with another output driver) doesn't need its bindings
+const require = createRequire(import.meta.url);
+
 // PCA9685 mode control bits
 const INIT_MODE = 0x00;
 const SLEEP_MODE_BIT = 0x10;
@@ -60,14 +76,20 @@ const DC_MOTOR_INB2 = 4;
 // PCA9865 pwm constants
 const DUTY_CYCLE_MIN = 0;
 const DUTY_CYCLE_MAX = 4095;
+const FULL_OFF = 0x1000; // bit 4 of LEDn_OFF_H holds the output low
 
 class PCA9685 extends EventEmitter {
     constructor(i2cAddress = 0x7f, i2cBus = 1, pwmFreq = 50) {
         super();
-        this.bus = openSync(i2cBus);
+        this._busNumber = typeof i2cBus === "number" ? i2cBus : null;
+        this.bus =
+            typeof i2cBus === "number"
+                ? require("i2c-bus").openSync(i2cBus)
+                : i2cBus;
         this.devAddr = i2cAddress;
         this.writeReg(MODE1, INIT_MODE);
         this.initialized = false;
+        this._wakeTimer = null;
         this.sendPWMCommandFreq(pwmFreq);
     }
 
@@ -90,7 +112,8 @@ class PCA9685 extends EventEmitter {
         this.writeReg(MODE1, (oldMode & 0x7f) | SLEEP_MODE_BIT); // sleep
         this.writeReg(PRESCALE, Math.floor(prescale));
         // sleep for a short time to allow the oscillator to stabilize
-        setTimeout(() => {
+        this._wakeTimer = setTimeout(() => {
+            this._wakeTimer = null;
             this.writeReg(MODE1, oldMode | WAKE_MODE_BIT);
             this.initialized = true;
             this.emit("initialized");
@@ -103,10 +126,32 @@ class PCA9685 extends EventEmitter {
                 "PCA9685 not initialized. Call sendPWMCommandFreq() first."
             );
         }
-        this.writeReg(LED0_ON_L + 4 * channel, on & 0xff);
-        this.writeReg(LED0_ON_H + 4 * channel, on >> 8);
-        this.writeReg(LED0_OFF_L + 4 * channel, off & 0xff);
-        this.writeReg(LED0_OFF_H + 4 * channel, off >> 8);
+        for (const [reg, value] of this._pwmWrites(channel, on, off)) {
+            this.writeReg(reg, value);
+        }
+    }
+
+    // [register, value] pairs for a PWM command
+    _pwmWrites(channel, on, off) {
+        return [
+            [LED0_ON_L + 4 * channel, on & 0xff],
+            [LED0_ON_H + 4 * channel, on >> 8],
+            [LED0_OFF_L + 4 * channel, off & 0xff],
+            [LED0_OFF_H + 4 * channel, off >> 8],
+        ];
+    }
+
+    _motorPwmChannel(motorIndex) {
+        switch (motorIndex) {
+            case 1:
+                return DC_MOTOR_PWM1;
+            case 2:
+                return DC_MOTOR_PWM2;
+            default:
+                throw new Error(
+                    `${motorIndex}: invalid DC motor index. Must be 1 or 2.`
+                );
+        }
     }
 
     setDutyCycle(channel, dutyCycle) {
@@ -140,34 +185,70 @@ class PCA9685 extends EventEmitter {
         }
     }
 
-    setServoPosition(servoIndex, pulseWidth) {
-        let dutyCycle = Math.floor((pulseWidth * 4096) / 20000); // convert µs to 12 bit duty cycle
-        let channel;
+    _servoChannel(servoIndex) {
         switch (servoIndex) {
             case 3:
-                channel = SERVO_MOTOR_PWM3;
-                break;
+                return SERVO_MOTOR_PWM3;
             case 4:
-                channel = SERVO_MOTOR_PWM4;
-                break;
+                return SERVO_MOTOR_PWM4;
             case 5:
-                channel = SERVO_MOTOR_PWM5;
-                break;
+                return SERVO_MOTOR_PWM5;
             case 6:
-                channel = SERVO_MOTOR_PWM6;
-                break;
+                return SERVO_MOTOR_PWM6;
             case 7:
-                channel = SERVO_MOTOR_PWM7;
-                break;
+                return SERVO_MOTOR_PWM7;
             case 8:
-                channel = SERVO_MOTOR_PWM8;
-                break;
+                return SERVO_MOTOR_PWM8;
             default:
                 throw new Error(
                     `${servoIndex}: invalid servo index. Must be 3 through 8.`
                 );
         }
-        this.setDutyCycle(channel, dutyCycle);
+    }
+
+    setServoPosition(servoIndex, pulseWidth) {
+        let dutyCycle = Math.floor((pulseWidth * 4096) / 20000); // convert µs to 12 bit duty cycle
+        this.setDutyCycle(this._servoChannel(servoIndex), dutyCycle);
+    }
+
+    // stop sending pulses (full off), the servo stops holding its position
+    setServoOff(servoIndex) {
+        this.sendPWMCommand(this._servoChannel(servoIndex), 0, FULL_OFF);
+    }
+
+    close() {
+        clearTimeout(this._wakeTimer);
+        this._wakeTimer = null;
+        this.initialized = false;
+        if (this._busNumber !== null) {
+            this.bus.closeSync();
+        }
+    }
+
+    // stall watchdog commands for motor off and the servo at 'pulseWidth' (µs)
+    failsafeCommands(motorIndex, servoIndex, pulseWidth) {
+        if (this._busNumber === null) {
+            return null;
+        }
+        const dutyCycle = Math.min(
+            DUTY_CYCLE_MAX,
+            Math.max(DUTY_CYCLE_MIN, Math.floor((pulseWidth * 4096) / 20000))
+        );
+        return [
+            {
+                type: "i2c",
+                bus: this._busNumber,
+                address: this.devAddr,
+                writes: [
+                    ...this._pwmWrites(this._motorPwmChannel(motorIndex), 0, 0),
+                    ...this._pwmWrites(
+                        this._servoChannel(servoIndex),
+                        0,
+                        dutyCycle
+                    ),
+                ],
+            },
+        ];
     }
 }
 
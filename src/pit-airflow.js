@@ -3,17 +3,72 @@
  *
  * Facilitates pit airflow control using a blower fan (DC motor) and damper
  * (servo). It is designed for use with the 'eventemitter3' npm package and
- * locally installed 'pca9685-driver' module and assumes use of the SeenGreat
- * Motor and Servo Driver Hat for Raspberry Pi.
+ * by default uses the locally installed 'pca9685-driver' module with the
+ * SeenGreat Motor and Servo Driver Hat for Raspberry Pi.
  *
  * https://seengreat.com/product/211/motor-and-servo-driver-hat
  *
+ * The output driver is selected with 'driverType' (one of DRIVER_TYPE) and
+ * configured with 'driverOptions':
+ *
+ *   PCA9685: the motor hat ('driverAddress' and 'driverBus'), or a
+ *     simulated one with the 'simulate' option (see 'i2c-bus-sim.js')
+ *   SYSFS: kernel PWM channels under '/sys/class/pwm' (see
+ *     'sysfs-pwm-driver.js'), e.g. the Raspberry Pi's hardware PWM
+ *   MOCK: records commands in memory (see 'mock-pwm-driver.js')
+ *
+ * Drivers take a motor duty cycle (0-4095) and servo pulse width (µs), turn a
+ * servo's pulses off with 'setServoOff()', and emit 'initialized' once ready.
+ * Driver errors are re-emitted as 'error'. Changing the driver settings turns
+ * the old driver's fan and damper off and closes it ('close()') before the
+ * new one is created, so the next commands start from scratch.
+ *
+ * With 'damperSlewRate' (degrees per second of servo travel) set, the damper
+ * moves to a new position along a trajectory instead of jumping there. With
+ * 'damperAcceleration' (degrees per second squared) also set, it eases in and
+ * out of each move. A new position received mid-move redirects the trajectory
+ * from the damper's current position and velocity. Emits 'moving' at each
+ * step and 'settled' when the damper arrives. 'getDamperPosition()' is the
+ * damper's current position and 'getDamperTarget()' its destination.
+ *
+ * A hobby servo held at a fixed pulse buzzes and draws current. With
+ * 'damperSettleTime' (s) set, the damper servo is de-energized (its pulses
+ * turned off) that long after it reaches position, emitting 'deenergized'. It
+ * is re-energized by the next move, and every 'damperRefreshInterval' (s) if
+ * set, to correct any drift. 'setServoHold(index, true)' keeps a servo
+ * energized, e.g. for a damper that drifts under spring load.
+ *
+ * The PCA9685 keeps generating the last outputs by itself, so if the control
+ * loop dies the fan keeps running. With 'watchdogTimeout' (s) set, the
+ * watchdog expects a fan or damper command (or 'feedWatchdog()') within that
+ * time of the previous one, starting with the first. PitPID only sends damper
+ * commands on big moves, so feed it on each PitPID 'status' (every period)
+ * rather than relying on commands alone. If none arrives it drives the safe
+ * state (fan off, damper at 'failsafeDamperPosition', kept energized so a
+ * spring-loaded damper can't drift), emits 'failsafe' and refuses commands
+ * until 'rearm()' is called. 'failsafe()' trips it directly,
+ * e.g. when shutting down.
+ *
+ * The watchdog's timer runs on the event loop, so it can't fire while the loop
+ * is stalled. Drivers that can be driven from another thread (PCA9685 on a
+ * real bus, sysfs) are also watched by a worker thread (see
+ * 'stall-watchdog.js') that drives the safe state during a stall; commands
+ * are refused once the loop resumes. The mock driver and simulated bus are
+ * only watched on the event loop.
+ *
+ * Timing uses the clock set with 'clock' ('systemClock' from 'utils.js' by
+ * default, see 'SimulatedClock').
+ *
  * (c) 2023 -- Yuri -- MIT License
  */
 
 import EventEmitter from "eventemitter3";
 import PCA9685 from "./pca9685-driver.js";
-import { constrain, constrainBoolean, mapRange } from "./utils.js";
+import SysfsPwmDriver from "./sysfs-pwm-driver.js";
+import MockPwmDriver from "./mock-pwm-driver.js";
+import I2cBusSim from "./i2c-bus-sim.js";
+import StallWatchdog from "./stall-watchdog.js";
+import { systemClock, constrain, constrainBoolean, mapRange } from "./utils.js";
 
 const MOTOR_INDEX_MIN = 1;
 const MOTOR_INDEX_MAX = 2;
@@ -23,10 +78,22 @@ const DUTY_CYCLE_MIN = 0;
 const DUTY_CYCLE_MAX = 4095;
 const SERVO_MIN = 500;
 const SERVO_MAX = 2500;
+const SERVO_RANGE_DEGREES = 180; // servo travel from SERVO_MIN to SERVO_MAX
 const MOTOR_OFF = 0;
 const MOTOR_MIN = 0;
 const MOTOR_MAX = 100;
 
+const DRIVER_TYPE = {
+    PCA9685: "pca9685",
+    SYSFS: "sysfs",
+    MOCK: "mock",
+};
+
+const DAMPER_STEP_INTERVAL = 20; // (ms) one servo frame per trajectory step
+const DAMPER_SETTLE_BAND = 0.05; // (percent) distance treated as arrived
+
+const FAILSAFE_DAMPER_POSITION = 0; // damper closed, starving the fire
+
 const DRIVER_NUM_RETRIES = 5; // number of retries for failed speed/position commands
 const DRIVER_TIMEOUT = 100; // time between retries
 
@@ -37,7 +104,9 @@ class PitAirflow extends EventEmitter {
         damperServoIndex = 3,
         damperServoReversed = false,
         driverAddress = 0x07f,
-        driverBusIndex = 1
+        driverBusIndex = 1,
+        driverType = DRIVER_TYPE.PCA9685,
+        driverOptions = {}
     ) {
         super();
         this._fanMotor = constrain(
@@ -59,21 +128,95 @@ class PitAirflow extends EventEmitter {
         this._damperMax = 100;
         this._damperReverse = constrainBoolean(damperServoReversed);
         this._damperRetries = 0;
-        this._damperPosition = null;
+        this._damperPosition = null; // current position, null until first set
+        this._damperTarget = null;
+        this._damperSlewRate = null; // (degrees/s) null moves immediately
+        this._damperAcceleration = null; // (degrees/s²) null disables easing
+        this._damperVelocity = 0; // (percent/s)
+        this._damperTimer = null;
+        this._damperStepMillis = null;
+        this._damperSettleTime = null; // (s) null keeps the servo energized
+        this._damperRefreshInterval = null; // (s) null disables refreshes
+        this._damperEnergized = false;
+        this._damperOffTimer = null;
+        this._damperRefreshTimer = null;
+        this._holdServos = new Set(); // servo indices kept energized
+        this._watchdogTimeout = null; // (s) null disables the watchdog
+        this._watchdogTimer = null;
+        this._stallWatchdog = null; // worker thread watchdog
+        this._stallCommands = null; // (JSON) failsafe commands sent to it
+        this._failsafeDamperPosition = FAILSAFE_DAMPER_POSITION;
+        this._failsafe = null; // { reason, time (ms) } while tripped
+        this._failsafeWarned = false;
+        this._clock = systemClock;
         this._driverBusIndex = driverBusIndex;
         this._driverAddress = driverAddress;
+        if (!Object.values(DRIVER_TYPE).includes(driverType)) {
+            throw new Error(`${driverType}: invalid output driver type.`);
+        }
+        this._driverType = driverType;
+        this._driverOptions = { ...driverOptions };
         this._initialized = false;
         this._driver = null;
-        this._initializePCA9685Driver();
+        this._initializeDriver();
+    }
+
+    _createDriver() {
+        switch (this._driverType) {
+            case DRIVER_TYPE.SYSFS:
+                return new SysfsPwmDriver(this._driverOptions);
+            case DRIVER_TYPE.MOCK:
+                return new MockPwmDriver({
+                    clock: this._clock,
+                    ...this._driverOptions,
+                });
+            default:
+                return new PCA9685(
+                    this._driverAddress,
+                    this._driverOptions.simulate
+                        ? new I2cBusSim({ devices: [this._driverAddress] })
+                        : this._driverBusIndex
+                );
+        }
     }
 
-    _initializePCA9685Driver() {
+    _initializeDriver() {
+        this._stopStallWatchdog();
+        if (this._driver !== null) {
+            this._closeDriver();
+        }
         this._initialized = false;
-        this._driver = new PCA9685(this._driverAddress, this._driverBusIndex);
+        this._driver = this._createDriver();
         this._driver.on("initialized", () => {
             this._initialized = true;
             this.emit("initialized");
         });
+        this._driver.on("error", (err) => this.emit("error", err));
+    }
+
+    // turn the current driver's outputs off and release it
+    _closeDriver() {
+        const driver = this._driver;
+        driver.removeAllListeners();
+        this._stopDamper();
+        this._clearDamperOff();
+        try {
+            if (this._initialized) {
+                driver.setMotorSpeed(
+                    this._fanMotor,
+                    MOTOR_OFF,
+                    this._fanReverse
+                );
+                driver.setServoOff(this._damperServo);
+            }
+            driver.close();
+        } catch (err) {
+            this.emit("error", err);
+        }
+        this._fanSpeed = null;
+        this._damperPosition = null;
+        this._damperTarget = null;
+        this._damperEnergized = false;
     }
 
     get initialized() {
@@ -152,13 +295,172 @@ class PitAirflow extends EventEmitter {
         this._damperMax = value;
     }
 
+    get clock() {
+        return this._clock;
+    }
+
+    set clock(value) {
+        this._stopDamper();
+        this._clearDamperOff();
+        const isWatching = this._watchdogTimer !== null;
+        this._stopWatchdog();
+        this._clock = value;
+        if (this._driver instanceof MockPwmDriver) {
+            this._driver.clock = value;
+        }
+        if (isWatching) {
+            this.feedWatchdog();
+        }
+    }
+
+    get watchdogTimeout() {
+        return this._watchdogTimeout;
+    }
+
+    // set null (or 0) to disable the watchdog
+    set watchdogTimeout(value) {
+        this._watchdogTimeout =
+            value === null || value === undefined || !(value > 0)
+                ? null
+                : value;
+        if (this._watchdogTimeout === null) {
+            this._stopWatchdog();
+            this._stopStallWatchdog();
+        } else if (this._watchdogTimer !== null) {
+            this.feedWatchdog();
+        }
+    }
+
+    get failsafeDamperPosition() {
+        return this._failsafeDamperPosition;
+    }
+
+    set failsafeDamperPosition(value) {
+        if (!(value >= MOTOR_MIN && value <= MOTOR_MAX)) {
+            console.warn(
+                `PitAirflow: Invalid failsafe damper position (${value}).`
+            );
+            return;
+        }
+        this._failsafeDamperPosition = value;
+    }
+
+    // { reason, time (ms, from 'clock') } while the failsafe is tripped,
+    // otherwise null
+    get failsafeState() {
+        return this._failsafe;
+    }
+
+    get isFailsafe() {
+        return this._failsafe !== null;
+    }
+
+    get damperSlewRate() {
+        return this._damperSlewRate;
+    }
+
+    // set null (or 0) to move the damper immediately
+    set damperSlewRate(value) {
+        this._damperSlewRate =
+            value === null || value === undefined || !(value > 0)
+                ? null
+                : value;
+    }
+
+    get damperAcceleration() {
+        return this._damperAcceleration;
+    }
+
+    // set null (or 0) to disable easing
+    set damperAcceleration(value) {
+        this._damperAcceleration =
+            value === null || value === undefined || !(value > 0)
+                ? null
+                : value;
+    }
+
+    get isDamperMoving() {
+        return this._damperTimer !== null;
+    }
+
+    get damperSettleTime() {
+        return this._damperSettleTime;
+    }
+
+    // set null to keep the damper servo energized
+    set damperSettleTime(value) {
+        this._damperSettleTime =
+            value === null || value === undefined || !(value >= 0)
+                ? null
+                : value;
+        this._updateDamperHold();
+    }
+
+    get damperRefreshInterval() {
+        return this._damperRefreshInterval;
+    }
+
+    // set null (or 0) to leave a de-energized servo off until the next move
+    set damperRefreshInterval(value) {
+        this._damperRefreshInterval =
+            value === null || value === undefined || !(value > 0)
+                ? null
+                : value;
+        this._updateDamperHold();
+    }
+
+    get isDamperEnergized() {
+        return this._damperEnergized;
+    }
+
+    getServoHold(servoIndex) {
+        return this._holdServos.has(servoIndex);
+    }
+
+    setServoHold(servoIndex, hold = true) {
+        if (constrainBoolean(hold)) {
+            this._holdServos.add(servoIndex);
+        } else {
+            this._holdServos.delete(servoIndex);
+        }
+        this._updateDamperHold();
+    }
+
+    get driverType() {
+        return this._driverType;
+    }
+
+    set driverType(value) {
+        if (!Object.values(DRIVER_TYPE).includes(value)) {
+            console.warn(`PitAirflow: Ignored invalid driver type (${value}).`);
+            return;
+        }
+        this._driverType = value;
+        this._initializeDriver();
+    }
+
+    get driverOptions() {
+        return { ...this._driverOptions };
+    }
+
+    set driverOptions(value) {
+        this._driverOptions = { ...value };
+        this._initializeDriver();
+    }
+
+    // the output driver instance (e.g. to inspect a MockPwmDriver's commands
+    // or a simulated PCA9685's 'bus')
+    get driver() {
+        return this._driver;
+    }
+
     get driverBus() {
         return this._driverBusIndex;
     }
 
     set driverBus(value) {
         this._driverBusIndex = value;
-        this._initializePCA9685Driver();
+        this._initializeDriver();
     }
 
     get driverAddress() {
@@ -167,17 +469,26 @@ class PitAirflow extends EventEmitter {
 
     set driverAddress(value) {
         this._driverAddress = value;
-        this._initializePCA9685Driver();
+        this._initializeDriver();
     }
 
     getDamperPosition() {
         return this._damperPosition;
     }
 
+    getDamperTarget() {
+        return this._damperTarget;
+    }
+
     setDamperPosition(value) {
+        if (this._refuseCommand("damper")) {
+            return;
+        }
         if (!this._initialized) {
             if (this._damperRetries > DRIVER_NUM_RETRIES) {
-                throw new Error("PCA9685 driver initialization timeout.");
+                throw new Error(
+                    `Output driver (${this._driverType}) initialization timeout.`
+                );
             }
             this._damperRetries++;
             setTimeout(() => {
@@ -186,6 +497,42 @@ class PitAirflow extends EventEmitter {
             return;
         }
         this._damperRetries = 0;
+        this._damperTarget = constrain(value, MOTOR_MIN, MOTOR_MAX);
+
+        // a de-energized servo stays off until it has somewhere to go
+        if (
+            !this._damperEnergized &&
+            this._damperTimer === null &&
+            this._damperTarget === this._damperPosition
+        ) {
+            return;
+        }
+
+        // the first position is unknown, so move there directly
+        if (this._damperSlewRate === null || this._damperPosition === null) {
+            this._stopDamper();
+            this._writeDamper(this._damperTarget);
+            this._scheduleDamperOff();
+            return;
+        }
+        if (this._damperTimer === null) {
+            this._damperStepMillis = this._clock.millis();
+            this._scheduleDamperStep();
+        }
+    }
+
+    _writeDamper(value) {
+        this._clearDamperOff();
+        this._driver.setServoPosition(
+            this._damperServo,
+            this._damperPulseWidth(value)
+        );
+        this._damperPosition = constrain(value, MOTOR_MIN, MOTOR_MAX);
+        this._damperEnergized = true;
+    }
+
+    // (µs) servo pulse width of a damper position
+    _damperPulseWidth(value) {
         const correctedValue = this._damperReverse ? MOTOR_MAX - value : value;
         const scaledValue = mapRange(
             correctedValue,
@@ -194,15 +541,152 @@ class PitAirflow extends EventEmitter {
             this._damperMin,
             this._damperMax
         );
-        const scaledOutput = mapRange(
+        return mapRange(
             scaledValue,
             MOTOR_MIN,
             MOTOR_MAX,
             SERVO_MIN,
             SERVO_MAX
         );
-        this._driver.setServoPosition(this._damperServo, scaledOutput);
-        this._damperPosition = constrain(value, MOTOR_MIN, MOTOR_MAX);
+    }
+
+    _clearDamperOff() {
+        this._clock.clearTimeout(this._damperOffTimer);
+        this._clock.clearTimeout(this._damperRefreshTimer);
+        this._damperOffTimer = null;
+        this._damperRefreshTimer = null;
+    }
+
+    // de-energize the damper servo once it has settled (unless it's held, or
+    // holding the failsafe position)
+    _scheduleDamperOff() {
+        if (
+            this._failsafe !== null ||
+            this._damperSettleTime === null ||
+            this._holdServos.has(this._damperServo)
+        ) {
+            return;
+        }
+        this._damperOffTimer = this._clock.setTimeout(() => {
+            this._damperOffTimer = null;
+            this._deenergizeDamper();
+        }, this._damperSettleTime * 1000);
+    }
+
+    _deenergizeDamper() {
+        this._driver.setServoOff(this._damperServo);
+        this._damperEnergized = false;
+        this.emit("deenergized", {
+            servo: this._damperServo,
+            position: this._damperPosition,
+        });
+        this._scheduleDamperRefresh();
+    }
+
+    // briefly re-energize a de-energized servo to correct any drift
+    _scheduleDamperRefresh() {
+        this._clock.clearTimeout(this._damperRefreshTimer);
+        this._damperRefreshTimer = null;
+        if (this._damperRefreshInterval === null) {
+            return;
+        }
+        this._damperRefreshTimer = this._clock.setTimeout(() => {
+            this._damperRefreshTimer = null;
+            this._writeDamper(this._damperPosition);
+            this._scheduleDamperOff();
+        }, this._damperRefreshInterval * 1000);
+    }
+
+    // re-apply the settle/hold settings to a damper at rest
+    _updateDamperHold() {
+        if (
+            !this._initialized ||
+            this._damperPosition === null ||
+            this._damperTimer !== null
+        ) {
+            return;
+        }
+        if (
+            this._damperSettleTime === null ||
+            this._holdServos.has(this._damperServo)
+        ) {
+            if (!this._damperEnergized) {
+                this._writeDamper(this._damperPosition);
+            } else {
+                this._clearDamperOff();
+            }
+        } else if (!this._damperEnergized) {
+            this._scheduleDamperRefresh();
+        } else if (this._damperOffTimer === null) {
+            this._scheduleDamperOff();
+        }
+    }
+
+    // convert degrees of servo travel to percent of the damper's range
+    _degreesToPct(degrees) {
+        const span = Math.abs(this._damperMax - this._damperMin);
+        return span > 0
+            ? (degrees * 100) / ((SERVO_RANGE_DEGREES * span) / 100)
+            : Infinity;
+    }
+
+    _scheduleDamperStep() {
+        this._damperTimer = this._clock.setTimeout(() => {
+            this._stepDamper();
+        }, DAMPER_STEP_INTERVAL);
+    }
+
+    _stopDamper() {
+        this._clock.clearTimeout(this._damperTimer);
+        this._damperTimer = null;
+        this._damperVelocity = 0;
+    }
+
+    _stepDamper() {
+        const now = this._clock.millis();
+        const dt = (now - this._damperStepMillis) / 1000;
+        this._damperStepMillis = now;
+
+        const position = this._damperPosition;
+        const target = this._damperTarget;
+        const distance = target - position;
+        const direction = Math.sign(distance);
+        const maxSpeed = this._degreesToPct(this._damperSlewRate || Infinity);
+
+        if (this._damperAcceleration === null) {
+            this._damperVelocity = direction * maxSpeed;
+        } else {
+            // accelerate toward the fastest speed that can still stop at the
+            // target (the current velocity carries over when redirected)
+            const accel = this._degreesToPct(this._damperAcceleration);
+            const desired =
+                direction *
+                Math.min(maxSpeed, Math.sqrt(2 * accel * Math.abs(distance)));
+            this._damperVelocity += constrain(
+                desired - this._damperVelocity,
+                -accel * dt,
+                accel * dt
+            );
+        }
+
+        const next = position + this._damperVelocity * dt;
+        if (
+            Math.abs(distance) <= DAMPER_SETTLE_BAND ||
+            (next - target) * direction >= 0
+        ) {
+            this._stopDamper();
+            this._writeDamper(target);
+            this._scheduleDamperOff();
+            this.emit("settled", { position: target });
+            return;
+        }
+        this._writeDamper(next);
+        this.emit("moving", {
+            position: this._damperPosition,
+            target: target,
+            velocity: this._damperVelocity,
+        });
+        this._scheduleDamperStep();
     }
 
     getFanSpeed() {
@@ -210,9 +694,14 @@ class PitAirflow extends EventEmitter {
     }
 
     setFanSpeed(value) {
+        if (this._refuseCommand("fan")) {
+            return;
+        }
         if (!this._initialized) {
             if (this._fanRetries > DRIVER_NUM_RETRIES) {
-                throw new Error("PCA9685 driver initialization timeout.");
+                throw new Error(
+                    `Output driver (${this._driverType}) initialization timeout.`
+                );
             }
             this._fanRetries++;
             setTimeout(() => {
@@ -252,6 +741,142 @@ class PitAirflow extends EventEmitter {
         );
         this._fanSpeed = constrain(value, MOTOR_MIN, MOTOR_MAX);
     }
+
+    // reset the watchdog, commands do this themselves
+    feedWatchdog() {
+        if (this._watchdogTimeout === null || this._failsafe !== null) {
+            return;
+        }
+        this._clock.clearTimeout(this._watchdogTimer);
+        this._watchdogTimer = this._clock.setTimeout(() => {
+            this._watchdogTimer = null;
+            this.failsafe(
+                `No output commands for ${this._watchdogTimeout} seconds`
+            );
+        }, this._watchdogTimeout * 1000);
+        this._feedStallWatchdog();
+    }
+
+    _stopWatchdog() {
+        this._clock.clearTimeout(this._watchdogTimer);
+        this._watchdogTimer = null;
+        if (this._stallWatchdog !== null) {
+            this._stallWatchdog.pause();
+        }
+    }
+
+    // start (or update) and feed the worker thread watchdog, if the driver
+    // can be driven from it
+    _feedStallWatchdog() {
+        let commands = null;
+        if (
+            this._initialized &&
+            typeof this._driver.failsafeCommands === "function"
+        ) {
+            commands = this._driver.failsafeCommands(
+                this._fanMotor,
+                this._damperServo,
+                this._damperPulseWidth(this._failsafeDamperPosition)
+            );
+        }
+        if (commands === null) {
+            this._stopStallWatchdog();
+            return;
+        }
+
+        const json = JSON.stringify(commands);
+        if (
+            this._stallWatchdog === null ||
+            this._stallWatchdog.timeout !== this._watchdogTimeout
+        ) {
+            this._stopStallWatchdog();
+            this._stallWatchdog = new StallWatchdog(
+                this._watchdogTimeout,
+                commands
+            );
+            this._stallWatchdog.on("failsafe", () => this._stallFailsafe());
+            this._stallWatchdog.on("error", (err) => this.emit("error", err));
+        } else if (json !== this._stallCommands) {
+            this._stallWatchdog.setCommands(commands);
+        }
+        this._stallCommands = json;
+        this._stallWatchdog.feed();
+    }
+
+    _stopStallWatchdog() {
+        if (this._stallWatchdog !== null) {
+            this._stallWatchdog.stop();
+            this._stallWatchdog = null;
+            this._stallCommands = null;
+        }
+    }
+
+    // the worker drove the safe state during a stall, catch up with it
+    _stallFailsafe() {
+        if (this._failsafe === null) {
+            this.failsafe(
+                `Event loop stalled for over ${this._watchdogTimeout} seconds`
+            );
+        }
+    }
+
+    // refuse commands while the failsafe is tripped, otherwise feed the watchdog
+    _refuseCommand(output) {
+        if (this._stallWatchdog !== null && this._stallWatchdog.isTripped) {
+            this._stallFailsafe();
+        }
+        if (this._failsafe === null) {
+            this.feedWatchdog();
+            return false;
+        }
+        if (!this._failsafeWarned) {
+            this._failsafeWarned = true;
+            console.warn(
+                `PitAirflow: Refusing ${output} commands until re-armed (failsafe: ${this._failsafe.reason}).`
+            );
+        }
+        return true;
+    }
+
+    // drive the safe state and refuse commands until 'rearm()'
+    failsafe(reason = "Failsafe requested") {
+        this._stopWatchdog();
+        if (this._failsafe === null) {
+            this._failsafe = { reason: reason, time: this._clock.millis() };
+            this._failsafeWarned = false;
+        }
+        if (this._initialized) {
+            this._driver.setMotorSpeed(
+                this._fanMotor,
+                MOTOR_OFF,
+                this._fanReverse
+            );
+            this._fanSpeed = MOTOR_OFF;
+            this._stopDamper();
+            this._damperTarget = this._failsafeDamperPosition;
+            this._writeDamper(this._damperTarget);
+        }
+        this.emit("failsafe", {
+            reason: reason,
+            fanSpeed: this._fanSpeed,
+            damperPosition: this._damperPosition,
+        });
+    }
+
+    // accept commands again, the watchdog restarts with the next command
+    rearm() {
+        if (this._failsafe === null) {
+            return;
+        }
+        const reason = this._failsafe.reason;
+        this._failsafe = null;
+        if (this._stallWatchdog !== null) {
+            this._stallWatchdog.rearm();
+        }
+        this._failsafeWarned = false;
+        this._updateDamperHold();
+        this.emit("rearmed", { reason: reason });
+    }
 }
 
-export { PitAirflow as default, PitAirflow };
+export { PitAirflow as default, PitAirflow, DRIVER_TYPE };
@@ -0,0 +1,290 @@
+/*
+ * Pit PID Autotune
+ *
+ * Estimates PID gains using the relay feedback (Åström–Hägglund) method. The
+ * controller output is switched between 'outputHigh' and 'outputLow' each
+ * time the pit temperature crosses the setpoint (plus or minus 'noiseBand'),
+ * which induces a sustained oscillation. The amplitude and period of that
+ * oscillation give the ultimate gain (Ku) and ultimate period (Pu), from which
+ * gains are proposed using one of the AUTOTUNE_RULE tuning rules.
+ *
+ * The autotuner does not drive any outputs itself; 'update()' is called once
+ * per measurement period with the pit temperature and returns the output that
+ * should be committed. PitPID uses this in its AUTOTUNE mode.
+ *
+ * The run aborts if the pit temperature leaves 'abortBand' degrees around the
+ * setpoint (once the setpoint has first been reached) or if it takes longer
+ * than 'maxDuration' seconds.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import { calcMean } from "./utils.js";
+
+const AUTOTUNE_STATE = {
+    APPROACH: "approach", // full output until the setpoint is first reached
+    RELAY: "relay", // oscillating around the setpoint
+    COMPLETE: "complete",
+    ABORTED: "aborted",
+};
+
+const AUTOTUNE_RULE = {
+    ZIEGLER_NICHOLS: "zieglerNichols",
+    TYREUS_LUYBEN: "tyreusLuyben",
+    PESSEN_INTEGRAL: "pessenIntegral",
+    SOME_OVERSHOOT: "someOvershoot",
+    NO_OVERSHOOT: "noOvershoot",
+};
+
+// Kp = kp * Ku, Ti = ti * Pu, Td = td * Pu
+const AUTOTUNE_RULE_COEFFS = {
+    [AUTOTUNE_RULE.ZIEGLER_NICHOLS]: { kp: 0.6, ti: 0.5, td: 0.125 },
+    [AUTOTUNE_RULE.TYREUS_LUYBEN]: { kp: 1 / 2.2, ti: 2.2, td: 1 / 6.3 },
+    [AUTOTUNE_RULE.PESSEN_INTEGRAL]: { kp: 0.7, ti: 0.4, td: 0.15 },
+    [AUTOTUNE_RULE.SOME_OVERSHOOT]: { kp: 0.33, ti: 0.5, td: 1 / 3 },
+    [AUTOTUNE_RULE.NO_OVERSHOOT]: { kp: 0.2, ti: 0.5, td: 1 / 3 },
+};
+
+// the first oscillation is skewed by the approach, so it is discarded
+const AUTOTUNE_DISCARD_CYCLES = 1;
+
+// round gains to a sensible number of significant digits for config files
+function roundGain(value) {
+    return Number(value.toPrecision(3));
+}
+
+// Convert ultimate gain/period to PitPID gains. PitPID integrates once per
+// measurement period and calculates D from the difference between an
+// exponential moving average and the current temperature, which lags the
+// temperature by 'derivativeLag' periods.
+function calcAutotuneGains(
+    Ku,
+    Pu,
+    rule = AUTOTUNE_RULE.ZIEGLER_NICHOLS,
+    periodSeconds = 1,
+    derivativeLag = 1
+) {
+    if (!(rule in AUTOTUNE_RULE_COEFFS)) {
+        throw new Error(`${rule}: invalid autotune rule.`);
+    }
+    const coeffs = AUTOTUNE_RULE_COEFFS[rule];
+    const Kp = coeffs.kp * Ku;
+    const Ti = coeffs.ti * Pu;
+    const Td = coeffs.td * Pu;
+    return {
+        P: roundGain(Kp),
+        I: roundGain((Kp * periodSeconds) / Ti),
+        D: roundGain((Kp * Td) / (derivativeLag * periodSeconds)),
+    };
+}
+
+class PitAutotune {
+    constructor(
+        setPoint,
+        {
+            rule = AUTOTUNE_RULE.ZIEGLER_NICHOLS,
+            outputHigh = 100, // percent PID output while below the setpoint
+            outputLow = 0, // percent PID output while above the setpoint
+            noiseBand = 1, // degrees of hysteresis around the setpoint
+            cycles = 3, // number of oscillations to measure
+            abortBand = 25, // degrees from the setpoint that abort the run
+            maxDuration = 4 * 60 * 60, // seconds before the run is aborted
+            periodSeconds = 1, // see 'calcAutotuneGains()'
+            derivativeLag = 1, // see 'calcAutotuneGains()'
+        } = {}
+    ) {
+        if (!(rule in AUTOTUNE_RULE_COEFFS)) {
+            throw new Error(`${rule}: invalid autotune rule.`);
+        }
+        if (outputHigh <= outputLow) {
+            throw new Error("Autotune outputHigh must exceed outputLow.");
+        }
+        this._setPoint = setPoint;
+        this._rule = rule;
+        this._outputHigh = outputHigh;
+        this._outputLow = outputLow;
+        this._noiseBand = Math.abs(noiseBand);
+        this._cycles = Math.max(1, Math.round(cycles));
+        this._abortBand = Math.abs(abortBand);
+        this._maxDuration = maxDuration;
+        this._periodSeconds = periodSeconds;
+        this._derivativeLag = derivativeLag;
+
+        this._state = AUTOTUNE_STATE.APPROACH;
+        this._abortReason = null;
+        this._result = null;
+        this._startMillis = null;
+        this._elapsed = 0;
+        this._relayHigh = true;
+        this._peak = null; // extreme temperature of the current half cycle
+        this._maxima = [];
+        this._minima = [];
+        this._periods = []; // seconds
+        this._lastCycleMillis = null;
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    get isRunning() {
+        return (
+            this._state === AUTOTUNE_STATE.APPROACH ||
+            this._state === AUTOTUNE_STATE.RELAY
+        );
+    }
+
+    get abortReason() {
+        return this._abortReason;
+    }
+
+    // null until the run is complete
+    get result() {
+        return this._result === null ? null : { ...this._result };
+    }
+
+    get cyclesMeasured() {
+        return this._periods.length;
+    }
+
+    get cyclesRequired() {
+        return this._cycles + AUTOTUNE_DISCARD_CYCLES;
+    }
+
+    get progress() {
+        const lastPeriod =
+            this._periods.length > 0
+                ? this._periods[this._periods.length - 1]
+                : null;
+        const numPeaks = Math.min(this._maxima.length, this._minima.length);
+        const lastAmplitude =
+            numPeaks > 0
+                ? (this._maxima[numPeaks - 1] - this._minima[numPeaks - 1]) / 2
+                : null;
+        return {
+            state: this._state,
+            rule: this._rule,
+            setPoint: this._setPoint,
+            cycle: this.cyclesMeasured,
+            cycles: this.cyclesRequired,
+            elapsed: this._elapsed,
+            amplitude: lastAmplitude,
+            period: lastPeriod,
+        };
+    }
+
+    abort(reason) {
+        if (this.isRunning) {
+            this._state = AUTOTUNE_STATE.ABORTED;
+            this._abortReason = reason;
+        }
+    }
+
+    _finish() {
+        const maxima = this._maxima.slice(AUTOTUNE_DISCARD_CYCLES);
+        const minima = this._minima.slice(AUTOTUNE_DISCARD_CYCLES);
+        const periods = this._periods.slice(AUTOTUNE_DISCARD_CYCLES);
+
+        // relay with hysteresis: Ku = 4d / (pi * sqrt(a^2 - e^2))
+        const amplitude = (calcMean(maxima) - calcMean(minima)) / 2;
+        const relayAmplitude = (this._outputHigh - this._outputLow) / 2;
+        const effectiveAmplitude =
+            amplitude > this._noiseBand
+                ? Math.sqrt(amplitude ** 2 - this._noiseBand ** 2)
+                : amplitude;
+
+        if (!(effectiveAmplitude > 0)) {
+            this.abort("no oscillation");
+            return;
+        }
+
+        const Ku = (4 * relayAmplitude) / (Math.PI * effectiveAmplitude);
+        const Pu = calcMean(periods);
+
+        this._result = {
+            rule: this._rule,
+            Ku: Ku,
+            Pu: Pu,
+            amplitude: amplitude,
+            pid: calcAutotuneGains(
+                Ku,
+                Pu,
+                this._rule,
+                this._periodSeconds,
+                this._derivativeLag
+            ),
+        };
+        this._state = AUTOTUNE_STATE.COMPLETE;
+    }
+
+    // call once per measurement period, returns the PID output to commit
+    update(temp, now) {
+        if (!this.isRunning) {
+            return 0;
+        }
+
+        if (this._startMillis === null) {
+            this._startMillis = now;
+        }
+        this._elapsed = (now - this._startMillis) / 1000;
+
+        if (this._elapsed > this._maxDuration) {
+            this.abort("timeout");
+            return 0;
+        }
+
+        if (
+            temp > this._setPoint + this._abortBand ||
+            (this._state === AUTOTUNE_STATE.RELAY &&
+                temp < this._setPoint - this._abortBand)
+        ) {
+            this.abort("temperature out of band");
+            return 0;
+        }
+
+        if (this._state === AUTOTUNE_STATE.APPROACH) {
+            if (temp < this._setPoint) {
+                return this._outputHigh;
+            }
+            this._state = AUTOTUNE_STATE.RELAY;
+            this._relayHigh = false;
+            this._peak = temp;
+        }
+
+        if (this._relayHigh) {
+            // heating: the temperature bottoms out, then rises
+            this._peak = Math.min(this._peak, temp);
+            if (temp > this._setPoint + this._noiseBand) {
+                this._minima.push(this._peak);
+                this._relayHigh = false;
+                this._peak = temp;
+            }
+        } else {
+            // cooling: the temperature peaks, then falls
+            this._peak = Math.max(this._peak, temp);
+            if (temp < this._setPoint - this._noiseBand) {
+                this._maxima.push(this._peak);
+                this._relayHigh = true;
+                this._peak = temp;
+                if (this._lastCycleMillis !== null) {
+                    this._periods.push((now - this._lastCycleMillis) / 1000);
+                }
+                this._lastCycleMillis = now;
+                if (this._periods.length >= this.cyclesRequired) {
+                    this._finish();
+                    return 0;
+                }
+            }
+        }
+
+        return this._relayHigh ? this._outputHigh : this._outputLow;
+    }
+}
+
+export {
+    PitAutotune as default,
+    PitAutotune,
+    AUTOTUNE_STATE,
+    AUTOTUNE_RULE,
+    calcAutotuneGains,
+};
@@ -0,0 +1,189 @@
+/*
+ * Pit Checkpoint
+ *
+ * Periodically saves the PitPID controller state (and an optional
+ * CookProgram's progress) to a local JSON file so that a reboot or crash
+ * mid-cook resumes where it left off instead of starting over in STARTUP
+ * mode with an empty integral term and output average.
+ *
+ * Writes are atomic (written to a temporary file and renamed) so a power
+ * loss never leaves a partial checkpoint behind. 'restore()' rejects and
+ * deletes checkpoints that are unreadable, from a different checkpoint
+ * version, in different units, or older than 'maxAge' seconds. The file is
+ * removed by a clean 'stop()', so a checkpoint only survives an unclean exit.
+ *
+ * Emits 'restore' when a checkpoint is resumed and 'reject' (with a 'reason')
+ * when one is discarded.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import fs from "fs";
+import EventEmitter from "eventemitter3";
+import { PIDMODE } from "./pit-pid.js";
+
+const CHECKPOINT_VERSION = 1;
+const CHECKPOINT_PATH = "checkpoint.json";
+const CHECKPOINT_INTERVAL = 30; // (s) time between saves
+const CHECKPOINT_MAX_AGE = 15 * 60; // (s) older checkpoints are discarded
+
+class PitCheckpoint extends EventEmitter {
+    constructor(
+        pid,
+        {
+            path = CHECKPOINT_PATH,
+            interval = CHECKPOINT_INTERVAL,
+            maxAge = CHECKPOINT_MAX_AGE,
+            units = null, // expected units, checkpoints in other units are rejected
+            program = null, // CookProgram to save and resume
+        } = {}
+    ) {
+        super();
+        this._pid = pid;
+        this._path = path;
+        this._interval = Math.max(1, interval);
+        this._maxAge = maxAge;
+        this._units = units;
+        this._program = program;
+        this._timer = null;
+    }
+
+    get path() {
+        return this._path;
+    }
+
+    get isRunning() {
+        return this._timer !== null;
+    }
+
+    // begin saving every 'interval' seconds
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        this._schedule();
+    }
+
+    // stop saving; a clean stop removes the checkpoint
+    stop(clean = true) {
+        this._pid.clock.clearTimeout(this._timer);
+        this._timer = null;
+        if (clean) {
+            this.clear();
+        }
+    }
+
+    _schedule() {
+        this._timer = this._pid.clock.setTimeout(() => {
+            this.save();
+            this._schedule();
+        }, this._interval * 1000);
+    }
+
+    save() {
+        const checkpoint = {
+            version: CHECKPOINT_VERSION,
+            savedAt: this._pid.clock.millis(),
+            pid: this._pid.getState(),
+            program: this._program ? this._program.getState() : null,
+        };
+        const tmpPath = `${this._path}.tmp`;
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify(checkpoint));
+            fs.renameSync(tmpPath, this._path);
+        } catch (err) {
+            console.warn(`PitCheckpoint: Save failed (${err.message}).`);
+            fs.rmSync(tmpPath, { force: true });
+        }
+    }
+
+    clear() {
+        fs.rmSync(this._path, { force: true });
+        fs.rmSync(`${this._path}.tmp`, { force: true });
+    }
+
+    _read() {
+        try {
+            return JSON.parse(fs.readFileSync(this._path, "utf8"));
+        } catch (err) {
+            return err.code === "ENOENT" ? null : undefined;
+        }
+    }
+
+    // returns the reason a checkpoint can't be used, or null if it's valid
+    _validate(checkpoint, age) {
+        if (checkpoint === undefined || typeof checkpoint !== "object") {
+            return "unreadable";
+        }
+        if (checkpoint.version !== CHECKPOINT_VERSION) {
+            return "version mismatch";
+        }
+        if (!(age >= 0 && age <= this._maxAge)) {
+            return "stale";
+        }
+        const state = checkpoint.pid;
+        if (
+            !state ||
+            !Object.values(PIDMODE).includes(state.mode) ||
+            ![state.pidI, state.pidOutput, state.pidOutputAvg].every(
+                Number.isFinite
+            )
+        ) {
+            return "invalid state";
+        }
+        if (
+            this._units !== null &&
+            state.units !== null &&
+            state.units !== this._units
+        ) {
+            return "units mismatch";
+        }
+        return null;
+    }
+
+    // resume from the checkpoint file if it's valid
+    // returns true if the controller state was restored
+    restore() {
+        const checkpoint = this._read();
+        if (checkpoint === null) {
+            return false;
+        }
+
+        const age =
+            checkpoint &&
+            (this._pid.clock.millis() - checkpoint.savedAt) / 1000;
+        const reason = this._validate(checkpoint, age);
+        if (reason !== null) {
+            this.clear();
+            this.emit("reject", { reason: reason });
+            return false;
+        }
+
+        // time spent down counts against the lid open countdown
+        this._pid.restoreState({
+            ...checkpoint.pid,
+            lidCountdown: Math.max(0, (checkpoint.pid.lidCountdown || 0) - age),
+        });
+
+        let programRestored = false;
+        if (this._program && checkpoint.program) {
+            programRestored = this._program.restoreState(
+                checkpoint.program,
+                age
+            );
+            if (!programRestored) {
+                this._pid.cookStage = null;
+            }
+        }
+
+        this.emit("restore", {
+            age: age,
+            mode: checkpoint.pid.mode,
+            setPoint: checkpoint.pid.setPoint,
+            program: programRestored,
+        });
+        return true;
+    }
+}
+
+export { PitCheckpoint as default, PitCheckpoint, CHECKPOINT_VERSION };
@@ -0,0 +1,116 @@
+/*
+ * Pit Config
+ *
+ * Applies the PitPID settings in a config (see 'config/default.json') to a
+ * PitPID instance. Shared by 'index.js' and session replay so that a replayed
+ * cook runs with the settings it was recorded with.
+ *
+ * 'config' is anything with a 'get(key, defaultValue)' method taking dotted
+ * keys, e.g. 'ConfigUtil' or an 'ObjectConfig' wrapping a plain object (such
+ * as a session's config snapshot).
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import { FAHRENHEIT, CELSIUS } from "./utils.js";
+
+// 'ConfigUtil'-like access to a plain object
+class ObjectConfig {
+    constructor(object = {}) {
+        this._object = object || {};
+    }
+
+    has(key) {
+        return this._lookup(key) !== undefined;
+    }
+
+    get(key, defaultValue) {
+        const value = this._lookup(key);
+        return value === undefined ? defaultValue : value;
+    }
+
+    _lookup(key) {
+        let value = this._object;
+        for (const part of key.split(".")) {
+            if (value === null || typeof value !== "object") {
+                return undefined;
+            }
+            value = value[part];
+        }
+        return value;
+    }
+}
+
+// the configured units ("F" or "C")
+function configUnits(config) {
+    return { F: FAHRENHEIT, C: CELSIUS }[config.get("units")];
+}
+
+function configurePitPID(pid, config) {
+    pid.units = configUnits(config);
+    pid.pid = config.get("PID", { P: 2.5, I: 0.0035, D: 6 });
+    pid.gainSchedule = config.get("gainSchedule", []);
+    pid.fanMinSpeed = config.get("fan.minSpeed", 0);
+    pid.fanMaxSpeed = config.get("fan.maxSpeed", 100);
+    pid.fanMaxStartupSpeed = config.get("fan.maxStartupSpeed", 100);
+    pid.fanActiveFloor = config.get("fan.onAbove", 0);
+    pid.servoMinPos = config.get("servo.minPosition", 0);
+    pid.servoMaxPos = config.get("servo.maxPosition", 0);
+    pid.servoActiveCeil = config.get("servo.activeCeil", 100);
+    pid.servoInvert = config.get("servo.invert", false);
+    pid.servoOpenWithFan = config.get("servo.openWithFan", false);
+    pid.outputMode = config.get("output.mode", "both");
+    pid.outputCrossover = config.get("output.crossover", 50);
+    pid.setPoint = config.get("setPoint", 230);
+    pid.lidOpenOffset = config.get("lid.lidOpenOffset", 5);
+    pid.lidOpenDuration = config.get("lid.lidOpenDuration", 240);
+    pid.alarmHysteresis = config.get("alarms.hysteresis", 2);
+    pid.pitHighAlarm = config.get("alarms.pitHigh", null);
+    pid.pitLowAlarm = config.get("alarms.pitLow", null);
+    for (const [id, target] of Object.entries(
+        config.get("alarms.probes", {})
+    )) {
+        pid.setProbeAlarm(id, target);
+    }
+    for (const [id, action] of Object.entries(
+        config.get("probes.doneActions", {})
+    )) {
+        pid.setProbeDoneAction(id, action);
+    }
+    pid.doneDebounce = config.get("probes.doneDebounce", 30);
+    pid.fuelOutputThreshold = config.get("fuel.outputThreshold", 90);
+    pid.fuelTrendWindow = config.get("fuel.trendWindow", 900);
+    pid.fuelSafeOutput = config.get("fuel.safeOutput", null);
+    pid.fuelRecoveryRise = config.get("fuel.recoveryRise", 10);
+    pid.probeStaleTimeout = config.get("probes.staleTimeout", 10);
+    pid.probeRemoveTimeout = config.get("probes.removeTimeout", null);
+    pid.stallDuration = config.get("stall.durationMinutes", 180) * 60;
+    for (const [id, minutes] of Object.entries(
+        config.get("probes.stallMinutes", {})
+    )) {
+        pid.setProbeStallMinutes(id, minutes);
+    }
+    pid.stallOptions = {
+        minTemp: config.get("stall.minTemp", null),
+        maxTemp: config.get("stall.maxTemp", null),
+        startRate: config.get("stall.startRate", null),
+        endRate: config.get("stall.endRate", null),
+    };
+    for (const [id, role] of Object.entries(config.get("probes.roles", {}))) {
+        pid.setProbeRole(id, role);
+    }
+    pid.pitTempStrategy = config.get("pitTemp.strategy", "trimmedMean");
+    pid.pitTempProbe = config.get("pitTemp.probe", null);
+    for (const [id, weight] of Object.entries(
+        config.get("pitTemp.weights", {})
+    )) {
+        pid.setProbeWeight(id, weight);
+    }
+}
+
+export {
+    configurePitPID as default,
+    configurePitPID,
+    configUnits,
+    ObjectConfig,
+};
@@ -7,6 +7,10 @@
  * long as a framebuffer device is exposed to the OS. Optimized for a 4"
  * HDMI display in portrait mode (800x480)
  *
+ * With a 'device' of null, frames are only drawn offscreen (at 'resolution',
+ * default 800x480) and may be written to image files with 'saveFrame()', e.g.
+ * to render a replayed session.
+ *
  * (c) 2023 -- Yuri -- MIT License
  */
 
@@ -14,6 +18,7 @@ import { execSync } from "child_process";
 import { createCanvas, registerFont } from "canvas";
 import Chart from "chart.js/auto";
 import fs from "fs";
+import { FAHRENHEIT, convertTemperature } from "./utils.js";
 
 const JUSTIFY = {
     LEFT: 0,
@@ -26,6 +31,8 @@ const JUSTIFY = {
     FIXED: 7,
 };
 
+const DISPLAY_PROBE_ROWS = 4;
+
 function getScreenResolution() {
     try {
         let command = "fbset -s | grep geometry";
@@ -131,8 +138,11 @@ function justifyText(
     ctx.fillText(text, x, y);
 }
 
-function temperatureToColor(temp, setPoint) {
-    // TODO: make this work for Celsius
+function temperatureToColor(temp, setPoint, units = FAHRENHEIT) {
+    // color thresholds are in Fahrenheit
+    temp = convertTemperature(temp, units, FAHRENHEIT);
+    setPoint = convertTemperature(setPoint, units, FAHRENHEIT);
+
     const setPointMargin = 25;
     const setPointYellow = setPoint - setPointMargin;
     const setPointRed = setPoint + setPointMargin;
@@ -169,6 +179,13 @@ function temperatureToColor(temp, setPoint) {
     return `#${hexString.toUpperCase()}`;
 }
 
+// format seconds as h:mm
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = `${Math.floor((seconds % 3600) / 60)}`.padStart(2, "0");
+    return `${hours}:${minutes}`;
+}
+
 function percentToColor(pct) {
     let redComponent = 0;
     let greenComponent = 0;
@@ -354,15 +371,22 @@ function createCvsCtx(width, height, colorMode) {
 }
 
 class PitDisplay {
-    constructor(device = "/dev/fb0", colorMode = "RGB16_565") {
-        const [width, height] = getScreenResolution();
-
-        this._framebuffer = fs.openSync(device, "w");
+    constructor(
+        device = "/dev/fb0",
+        colorMode = "RGB16_565",
+        resolution = null // [width, height]
+    ) {
+        const [width, height] =
+            resolution ||
+            (device === null ? [800, 480] : getScreenResolution());
+
+        this._framebuffer = device === null ? null : fs.openSync(device, "w");
         this._colorMode = colorMode;
         this._width = width;
         this._height = height;
         this._margin = 10;
         this._fanRotation = 0;
+        this._units = FAHRENHEIT; // follows the 'status' units
 
         // for most on-screen text
         registerFont("./resources/Roboto-Regular.ttf", { family: "Roboto" });
@@ -372,10 +396,6 @@ class PitDisplay {
             family: "Roboto-Black",
         });
 
-        // TODO: get rid of these in favor of better stuff
-        this._probe1tip = 0;
-        this._probe2tip = 0;
-
         [this._canvas, this._ctx] = createCvsCtx(width, height, colorMode);
     }
 
@@ -418,7 +438,7 @@ class PitDisplay {
             setPoint = 500; // arbitrarily high
         }
 
-        ctx.fillStyle = temperatureToColor(pitTemp, setPoint);
+        ctx.fillStyle = temperatureToColor(pitTemp, setPoint, this._units);
         ctx.font = `${canvas.height}px Roboto-Black`;
 
         const text = pitTemp === 0 ? "N/A" : `${pitTemp.toFixed(1)}°`;
@@ -428,7 +448,7 @@ class PitDisplay {
         return canvas;
     }
 
-    _createFanServoCanvas(fanPct, servoPct) {
+    _createFanServoCanvas(fanPct, servoPct, lidCountdown) {
         const [canvasText, ctxText] = createCvsCtx(
             this._width,
             this._height / 18,
@@ -484,12 +504,18 @@ class PitDisplay {
             canvasText.height + this._margin
         );
 
-        // TODO: display lid countdown timer here
+        let lidText = "Lid Closed";
         ctx.fillStyle = "white";
+        if (lidCountdown > 0) {
+            const minutes = Math.floor(lidCountdown / 60);
+            const seconds = `${Math.floor(lidCountdown % 60)}`.padStart(2, "0");
+            lidText = `Lid Open ${minutes}:${seconds}`;
+            ctx.fillStyle = "yellow";
+        }
         ctx.font = ctxText.font;
         justifyText(
             canvas,
-            "Lid Closed",
+            lidText,
             JUSTIFY.CENTER,
             JUSTIFY.BOTTOM,
             JUSTIFY.FIXED
@@ -498,7 +524,15 @@ class PitDisplay {
         return canvas;
     }
 
-    _createProbeCanvas(name, isConnected, tipTemp, desiredTemp, battery) {
+    // 'eta' is a DonePredictor prediction (or null)
+    _createProbeCanvas(
+        name,
+        isConnected,
+        tipTemp,
+        desiredTemp,
+        battery,
+        eta = null
+    ) {
         const [canvas, ctx] = createCvsCtx(
             this._width,
             this._height / 18,
@@ -535,10 +569,15 @@ class PitDisplay {
         let battStrokeColor = "white";
         let battFillColor = "black";
         let desiredTempText = "";
+        const etaText = eta === null ? "" : ` ${formatDuration(eta.eta)}`;
         if (
             !(isNaN(desiredTemp) || desiredTemp === null || desiredTemp === 0)
         ) {
-            ctx.fillStyle = temperatureToColor(tipTemp, desiredTemp);
+            ctx.fillStyle = temperatureToColor(
+                tipTemp,
+                desiredTemp,
+                this._units
+            );
             battFillColor = ctx.fillStyle;
             battStrokeColor = "black";
             ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -565,7 +604,7 @@ class PitDisplay {
 
         justifyText(
             textCanvas,
-            `${name} ${desiredTempText}`,
+            `${name} ${desiredTempText}${etaText}`,
             JUSTIFY.LEFT,
             JUSTIFY.VCENTER,
             JUSTIFY.FIT
@@ -592,12 +631,56 @@ class PitDisplay {
         return canvas;
     }
 
+    // one row per Meater probe index, from the 'status' probes
+    _createProbeCanvases(probes) {
+        const canvases = [];
+        for (let index = 1; index <= DISPLAY_PROBE_ROWS; index++) {
+            const probe = probes.find(
+                (probe) => probe.probeIndex === `${index}` && !probe.stale
+            );
+            canvases.push(
+                probe
+                    ? this._createProbeCanvas(
+                          `Probe ${index}`,
+                          true,
+                          probe.tip,
+                          probe.target,
+                          probe.battery === null ? 0 : probe.battery,
+                          probe.eta
+                      )
+                    : this._createProbeCanvas(
+                          `Probe ${index}`,
+                          false,
+                          0,
+                          null,
+                          0
+                      )
+            );
+        }
+        return canvases;
+    }
+
+    // out of fuel and probe done actions take precedence over the PID mode
+    _bannerMode(data) {
+        if (data.outOfFuel === true) {
+            return "NO FUEL";
+        }
+        if (data.probeDone) {
+            const action = data.probeDone.action === "hold" ? "HOLD" : "DONE";
+            return `P${data.probeDone.probeIndex} ${action}`;
+        }
+        return data.mode;
+    }
+
     update(data) {
+        if (data.units) {
+            this._units = data.units;
+        }
         try {
             const topBanner = this._createTopBanner(
                 data.setPoint,
-                data.mode,
-                false // TODO: handle lid open alarm
+                this._bannerMode(data),
+                data.hasAlarm === true
             );
             const pitTempCanvas = this._createPitTempCanvas(
                 data.pitTemp,
@@ -606,37 +689,11 @@ class PitDisplay {
 
             const fanServoCanvas = this._createFanServoCanvas(
                 data.fanPct,
-                data.servoPct
+                data.servoPct,
+                data.lidCountdown
             );
 
-            const probe1Canvas = this._createProbeCanvas(
-                "Probe 1",
-                true,
-                78,
-                null,
-                20
-            );
-            const probe2Canvas = this._createProbeCanvas(
-                "Pork",
-                true,
-                190,
-                195,
-                80
-            );
-            const probe3Canvas = this._createProbeCanvas(
-                "Probe 3",
-                false,
-                100,
-                195,
-                100
-            );
-            const probe4Canvas = this._createProbeCanvas(
-                "Probe 4",
-                false,
-                100,
-                195,
-                100
-            );
+            const probeCanvases = this._createProbeCanvases(data.probes || []);
 
             let x = 0;
             let y = 0;
@@ -648,14 +705,10 @@ class PitDisplay {
             y += pitTempCanvas.height;
             this._ctx.drawImage(fanServoCanvas, x, y);
             y += fanServoCanvas.height + this._margin * 2;
-            this._ctx.drawImage(probe1Canvas, x, y);
-            y += probe1Canvas.height;
-            this._ctx.drawImage(probe2Canvas, x, y);
-            y += probe2Canvas.height;
-            this._ctx.drawImage(probe3Canvas, x, y);
-            y += probe3Canvas.height;
-            this._ctx.drawImage(probe4Canvas, x, y);
-            y += probe4Canvas.height;
+            for (const probeCanvas of probeCanvases) {
+                this._ctx.drawImage(probeCanvas, x, y);
+                y += probeCanvas.height;
+            }
 
 
             // TODO: make sure pit-pid emits scaled fan/servo values that go 0-100 and
@@ -673,9 +726,16 @@ class PitDisplay {
         this._ctx.fillRect(0, 0, this._width, this._height);
     }
 
+    // write the most recent frame to a PNG file
+    saveFrame(path) {
+        fs.writeFileSync(path, this._canvas.toBuffer("image/png"));
+    }
+
     _draw() {
-        const buffer = this._canvas.toBuffer("raw");
-        fs.writeSync(this._framebuffer, buffer, 0, buffer.byteLength, 0);
+        if (this._framebuffer !== null) {
+            const buffer = this._canvas.toBuffer("raw");
+            fs.writeSync(this._framebuffer, buffer, 0, buffer.byteLength, 0);
+        }
         this._fanRotation += Math.PI / 4;
         if (this._fanRotation >= Math.PI * 2) {
             this._fanRotation = 0;
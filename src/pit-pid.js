@@ -25,13 +25,28 @@
 
 import EventEmitter from "eventemitter3";
 import {
-    millis,
+    systemClock,
+    FAHRENHEIT,
+    CELSIUS,
+    convertTemperature,
+    convertTemperatureDelta,
     constrain,
     mapRange,
     mapPct,
     calcExpMovingAverage,
-    calcLowerTrimmedMean,
+    calcMean,
+    calcMedian,
+    calcWeightedMean,
+    calcLowerTrimFloor,
+    calcLinearSlope,
 } from "./utils.js";
+import { ProbeAlarm, ALARM_TYPE, ALARM_EVENT } from "./probe-alarm.js";
+import { PitAutotune, AUTOTUNE_STATE, AUTOTUNE_RULE } from "./pit-autotune.js";
+import {
+    DonePredictor,
+    convertStallOptions,
+    defaultStallOptions,
+} from "./done-predictor.js";
 
 const PIDMODE = {
     STARTUP: 0, // attempting to reach temperature for the first time after a setpoint change
@@ -40,12 +55,56 @@ const PIDMODE = {
     AUTO_LAST: 2, // anything less than or equal to AUTO_LAST is an automatic mode state
     MANUAL: 3, // manual operation mode
     OFF: 4, // output, alarms, and lid detect disabled
+    AUTOTUNE: 5, // relay output to estimate PID gains
 };
 
-const PIDMODE_STR = ["STARTUP", "RECOVERY", "NORMAL", "MANUAL", "OFF"];
+const PIDMODE_STR = [
+    "STARTUP",
+    "RECOVERY",
+    "NORMAL",
+    "MANUAL",
+    "OFF",
+    "AUTOTUNE",
+];
+
+const PROBE_ROLE = {
+    PIT: "pit", // ambient temperature feeds the pit temperature
+    FOOD: "food", // tip temperature monitoring only
+    IGNORE: "ignore", // tracked and reported, otherwise unused
+};
+
+// how the PID output is distributed between the blower and damper
+const OUTPUT_MODE = {
+    BOTH: "both", // damper over 0-servoActiveCeil, blower over fanActiveFloor-100
+    FAN: "fan", // blower only
+    SERVO: "servo", // damper only, over the full PID output range
+    SERVO_FIRST: "servoFirst", // damper to 'outputCrossover', then blower
+};
+
+// what to do when a probe's tip reaches its target
+const DONE_ACTION = {
+    HOLD: "hold", // drop the setpoint to 'holdTemp' (keep warm)
+    OFF: "off", // switch to PIDMODE.OFF
+};
+
+// methods of combining pit probe temperatures into a single pit temperature
+const PIT_TEMP_STRATEGY = {
+    TRIMMED_MEAN: "trimmedMean", // mean, ignoring low outliers (default)
+    MEDIAN: "median",
+    MIN: "min",
+    MAX: "max",
+    PROBE: "probe", // a single designated probe ('pitTempProbe')
+    WEIGHTED: "weighted", // weighted mean ('setProbeWeight()'), default weight 1
+};
 
 const PID_PONMEER_LAMBDA = 0.4;
 
+// (s) time autotune waits for a pit temperature before aborting
+const AUTOTUNE_TEMP_TIMEOUT = 5 * 60;
+
+// name of the gain set used when no gain schedule entry matches
+const GAIN_SET_DEFAULT = "default";
+
 const LIDOPEN_MIN_AUTORESUME = 30;
 
 // The time (ms) of the measurement period
@@ -74,13 +133,36 @@ const DO_WORK_PERIOD = Math.floor(
 // 2/(1+Number of samples used in the exponential moving average)
 const TEMPPROBE_AVG_SMOOTH = 2.0 / (1.0 + 60.0);
 const PID_OUTPUT_AVG_SMOOTH = 2.0 / (1.0 + 240.0);
+// Number of periods the TEMPPROBE_AVG_SMOOTH average lags the temperature
+const TEMPPROBE_AVG_LAG = (1.0 - TEMPPROBE_AVG_SMOOTH) / TEMPPROBE_AVG_SMOOTH;
 const TEMP_DEV_THRESHOLD = 0.5;
 
+// average output (percent) above which a falling pit temperature indicates an
+// exhausted fire
+const FUEL_OUTPUT_THRESHOLD = 90;
+// (s) period over which the pit temperature trend is measured
+const FUEL_TREND_WINDOW = 900;
+// degrees the pit temperature must rise from its low to clear out of fuel, so
+// a noisy trend doesn't clear it
+const FUEL_RECOVERY_RISE = 10;
+const FUEL_ALARM_ID = "outOfFuel";
+
+// (s) age of a probe's last update before it is considered stale
+const PROBE_STALE_TIMEOUT = 10;
+
+// (s) time a probe's tip must stay at its target before its done action runs
+const DONE_DEBOUNCE = 30;
+
 class PitPID extends EventEmitter {
-    constructor() {
+    // all timing uses 'clock', a SimulatedClock steps the control loop
+    // deterministically or runs it faster than real time
+    constructor(clock = systemClock) {
         super();
+        this._clock = clock;
         this._Pid = { P: 2.5, I: 0.0035, D: 6 };
         this._pidCurrent = { P: 0, I: 0, D: 0 };
+        this._gainSchedule = []; // see 'gainSchedule'
+        this._gainSet = null; // { name, P, I, D } last used by _calcPidOutput
         this._pidMode = PIDMODE.STARTUP;
         this._pidOutput = 0;
         this._pidOutputAvg = 0;
@@ -92,8 +174,13 @@ class PitPID extends EventEmitter {
         this._longPwmTmr = 0;
         this._longPwmRemaining = 0;
 
-        // TODO: implement 'alarms'
-        // TODO: implement lid open mode
+        // pit alarms use the pit temperature, probe alarms use the probe's tip
+        this._pitAlarms = {
+            pitHigh: new ProbeAlarm(ALARM_TYPE.HIGH),
+            pitLow: new ProbeAlarm(ALARM_TYPE.LOW),
+        };
+        this._probeAlarms = {}; // probe address or probeIndex -> ProbeAlarm
+        this._alarmHysteresis = this._pitAlarms.pitHigh.hysteresis;
 
         this._units = null;
         this._setPoint = null;
@@ -108,20 +195,59 @@ class PitPID extends EventEmitter {
         this._servoMinPos = 0;
         this._servoMaxPos = 100;
 
+        this._outputMode = OUTPUT_MODE.BOTH;
+        this._outputCrossover = 50; // PID output where OUTPUT_MODE.SERVO_FIRST hands off to the blower
+
         this._fanPct = 0;
         this._lastBlowerOutput = 0;
 
-        this._servoActiveCeil = 100;
+        this._servoActiveCeil = 100; // PID output at which the damper is fully open
+        this._servoInvert = false; // damper closes toward servoMaxPos
+        this._servoOpenWithFan = false; // damper fully open while the blower runs
         this._servoPct = 0;
         this._servoHoldoff = 0;
 
         this._lidOpenOffset = 5; // percentage of setpoint degrees the temperature drops before automatic lidopen mode
         this._lidOpenDuration = 240; // amount of time (seconds) to turn off the blower when the lid is open
-        this._lidOpenTimeout = 0; // implementation of grillpid.cpp LidOpenResumeCountdown
+        this._lidOpenResumeCountdown = 0; // seconds remaining in lid open mode
 
         this._connectedProbes = {}; // probe indices and their relevant data
-        this._blacklist = []; // TODO: implement ignored probe indices
-        this.doWork();
+        this._probeRoles = {}; // probe address or probeIndex -> PROBE_ROLE
+        this._probeWeights = {}; // probe address or probeIndex -> weight
+        this._probeStallMinutes = {}; // probe address or probeIndex -> minutes
+        this._pitTempStrategy = PIT_TEMP_STRATEGY.TRIMMED_MEAN;
+        this._pitTempProbe = null; // probe address or probeIndex
+        this._pitTempSources = []; // addresses of probes used for _currentTemp
+        this._probeStaleTimeout = PROBE_STALE_TIMEOUT;
+        this._probeRemoveTimeout = null; // (s) null disables automatic removal
+        this._donePredictors = {}; // probe address -> DonePredictor
+        this._stallDuration = 3 * 60 * 60; // (s) stall allowance for done predictions
+        this._stallOptions = null; // stall model, null for the defaults
+        this._probeDoneActions = {}; // probe address or probeIndex -> { action, holdTemp }
+        this._doneStates = {}; // probe address -> { action, holdTemp, target, since, fired }
+        this._doneDebounce = DONE_DEBOUNCE;
+        this._probeDone = null; // last done action taken, reported in 'status'
+
+        this._fuelOutputThreshold = FUEL_OUTPUT_THRESHOLD;
+        this._fuelTrendWindow = FUEL_TREND_WINDOW;
+        this._fuelSafeOutput = null; // output cap while out of fuel, null disables
+        this._fuelTempHistory = []; // { time (s), temp } over _fuelTrendWindow
+        this._fuelRecoveryRise = FUEL_RECOVERY_RISE;
+        this._fuelLowTemp = null; // lowest pit temperature while out of fuel
+        this._isOutOfFuel = false;
+        this._outOfFuelSilenced = false;
+
+        this._autotune = null;
+        this._autotuneTempTimeout = AUTOTUNE_TEMP_TIMEOUT;
+        this._autotuneWaitMillis = null; // start of a wait for a temperature
+        this._cookStage = null;
+
+        this._isRunning = false;
+        this._workTimer = null;
+    }
+
+    get clock() {
+        return this._clock;
     }
 
     get pid() {
@@ -141,14 +267,201 @@ class PitPID extends EventEmitter {
         }
     }
 
+    get gainSchedule() {
+        return this._gainSchedule.map((entry) => ({
+            name: entry.name,
+            mode:
+                entry.modes === null
+                    ? null
+                    : entry.modes.map((mode) =>
+                          PIDMODE_STR[mode].toLowerCase()
+                      ),
+            minSetPoint: entry.minSetPoint,
+            maxSetPoint: entry.maxSetPoint,
+            ...entry.pid,
+        }));
+    }
+
+    // array of { name, mode, minSetPoint, maxSetPoint, P, I, D }, all optional
+    // 'mode' is an automatic mode name ("startup", "recovery", "normal") or an
+    // array of them. The first matching entry's gains are used, falling back
+    // to 'pid' for any term it doesn't specify (or if none match). Gain changes
+    // are bumpless and the active set is reported in 'status' as 'gainSet'.
+    set gainSchedule(value) {
+        const autoModes = PIDMODE_STR.slice(0, PIDMODE.AUTO_LAST + 1);
+        this._gainSchedule = [];
+        (value || []).forEach((entry, index) => {
+            const modes =
+                entry.mode === undefined || entry.mode === null
+                    ? null
+                    : []
+                          .concat(entry.mode)
+                          .map((mode) =>
+                              autoModes.indexOf(String(mode).toUpperCase())
+                          );
+            if (modes !== null && modes.includes(-1)) {
+                console.warn(
+                    `PitPID: Ignored gain set ${index} with invalid mode (${entry.mode}).`
+                );
+                return;
+            }
+            const pid = {};
+            for (const term of ["P", "I", "D"]) {
+                if (typeof entry[term] === "number") {
+                    pid[term] = entry[term];
+                }
+            }
+            this._gainSchedule.push({
+                name: entry.name || `Gain set ${index + 1}`,
+                modes: modes,
+                minSetPoint:
+                    typeof entry.minSetPoint === "number"
+                        ? entry.minSetPoint
+                        : null,
+                maxSetPoint:
+                    typeof entry.maxSetPoint === "number"
+                        ? entry.maxSetPoint
+                        : null,
+                pid: pid,
+            });
+        });
+    }
+
+    // gains in use for the most recent automatic mode period (null before)
+    get gainSet() {
+        return this._gainSet === null ? null : { ...this._gainSet };
+    }
+
     get pidMode() {
         return this._pidMode;
     }
 
+    // PIDMODE.OFF turns the blower off and closes the damper, 'status' is
+    // still emitted
     set pidMode(value) {
+        if (value !== PIDMODE.AUTOTUNE) {
+            this._endAutotune("mode");
+        }
         this._pidMode = value;
-        this._lidOpenTimeout = 0;
+        this._probeDone = null;
+        this._clearLidOpen("mode");
+        this._clearOutOfFuel("mode");
         this._pidOutput = 0;
+        if (value === PIDMODE.OFF) {
+            this._resetAlarms();
+            this._commitOffOutput(true);
+        }
+    }
+
+    get autotuneTempTimeout() {
+        return this._autotuneTempTimeout;
+    }
+
+    // (s) until there is a pit temperature an autotune run holds the output at
+    // 0, and aborts if none arrives within this long
+    set autotuneTempTimeout(value) {
+        if (!(value > 0)) {
+            console.warn(
+                `PitPID: Invalid autotune temperature timeout (${value}).`
+            );
+            return;
+        }
+        this._autotuneTempTimeout = value;
+    }
+
+    get isAutotuning() {
+        return this._autotune !== null && this._autotune.isRunning;
+    }
+
+    // see 'PitAutotune' for options
+    // the current setpoint is used as the autotune setpoint
+    // emits 'autotuneProgress', 'autotuneComplete' (with proposed 'pid' gains)
+    // and 'autotuneAbort', then returns to PIDMODE.STARTUP
+    startAutotune(options = {}) {
+        if (this._setPoint === null) {
+            throw new Error("PitPID: Set a setpoint before autotuning.");
+        }
+        const autotune = new PitAutotune(this._setPoint, {
+            ...options,
+            periodSeconds: TEMP_MEASURE_PERIOD / 1000,
+            derivativeLag: TEMPPROBE_AVG_LAG,
+        });
+        this._endAutotune("restart");
+        this.pidMode = PIDMODE.AUTOTUNE;
+        this._autotune = autotune;
+        this._autotuneWaitMillis = null;
+        this.emit("autotuneProgress", autotune.progress);
+    }
+
+    abortAutotune() {
+        if (this.isAutotuning) {
+            this._endAutotune("aborted");
+            this.pidMode = PIDMODE.STARTUP;
+        }
+    }
+
+    // aborts a running autotune (emitting 'autotuneAbort') and releases it
+    _endAutotune(reason) {
+        const autotune = this._autotune;
+        this._autotune = null;
+        if (autotune !== null && autotune.isRunning) {
+            autotune.abort(reason);
+            this.emit("autotuneAbort", {
+                ...autotune.progress,
+                reason: reason,
+            });
+        }
+    }
+
+    _calcAutotuneOutput() {
+        const autotune = this._autotune;
+        if (!this.hasTemperature) {
+            // hold the output off and wait for the probes
+            const now = this._clock.millis();
+            if (this._autotuneWaitMillis === null) {
+                this._autotuneWaitMillis = now;
+            }
+            this._pidOutput = 0;
+            if (
+                now - this._autotuneWaitMillis >=
+                this._autotuneTempTimeout * 1000
+            ) {
+                // back to automatic mode, which will hold output at 0
+                this._endAutotune("no temperature");
+                this.pidMode = PIDMODE.STARTUP;
+            }
+            return;
+        }
+        this._autotuneWaitMillis = null;
+
+        const lastCycle = autotune.cyclesMeasured;
+        this._pidOutput = autotune.update(
+            this._currentTemp,
+            this._clock.millis()
+        );
+
+        if (autotune.state === AUTOTUNE_STATE.COMPLETE) {
+            this._autotune = null;
+            this.emit("autotuneComplete", autotune.result);
+            this.pidMode = PIDMODE.STARTUP;
+        } else if (autotune.state === AUTOTUNE_STATE.ABORTED) {
+            this._autotune = null;
+            this.emit("autotuneAbort", {
+                ...autotune.progress,
+                reason: autotune.abortReason,
+            });
+            this.pidMode = PIDMODE.STARTUP;
+        } else if (autotune.cyclesMeasured !== lastCycle) {
+            this.emit("autotuneProgress", autotune.progress);
+        }
+    }
+
+    get isOff() {
+        return this._pidMode === PIDMODE.OFF;
+    }
+
+    get isRunning() {
+        return this._isRunning;
     }
 
     get fanMaxSpeed() {
@@ -206,6 +519,99 @@ class PitPID extends EventEmitter {
         this._servoMaxPos = constrain(value, 0, 100);
     }
 
+    get servoActiveCeil() {
+        return this._servoActiveCeil;
+    }
+
+    set servoActiveCeil(value) {
+        // _servoActiveCeil is constrained to 1-100 to prevent a divide by 0
+        this._servoActiveCeil = constrain(value, 1, 100);
+    }
+
+    get servoInvert() {
+        return this._servoInvert;
+    }
+
+    set servoInvert(value) {
+        this._servoInvert = value === true;
+    }
+
+    get servoOpenWithFan() {
+        return this._servoOpenWithFan;
+    }
+
+    // hold the damper fully open whenever the blower runs
+    set servoOpenWithFan(value) {
+        this._servoOpenWithFan = value === true;
+    }
+
+    get outputMode() {
+        return this._outputMode;
+    }
+
+    // one of OUTPUT_MODE, which outputs are driven and how the PID output is
+    // split between them (similar to HeaterMeter's PIDFLAG options)
+    set outputMode(value) {
+        if (!Object.values(OUTPUT_MODE).includes(value)) {
+            console.warn(`PitPID: Ignored invalid output mode (${value}).`);
+            return;
+        }
+        this._outputMode = value;
+
+        // park any output that is no longer driven
+        if (!this._hasFanOutput) {
+            this._fanPct = 0;
+            this._lastBlowerOutput = 0;
+            this._longPwmRemaining = 0;
+            this._emitFanOutput(0);
+        }
+        if (!this._hasServoOutput) {
+            this._servoPct = this._servoMinPos;
+            this._emitServoOutput(this._servoPct);
+        }
+    }
+
+    get outputCrossover() {
+        return this._outputCrossover;
+    }
+
+    set outputCrossover(value) {
+        // constrained to 1-99 so both outputs have a range to work over
+        this._outputCrossover = constrain(value, 1, 99);
+    }
+
+    get _hasFanOutput() {
+        return this._outputMode !== OUTPUT_MODE.SERVO;
+    }
+
+    get _hasServoOutput() {
+        return this._outputMode !== OUTPUT_MODE.FAN;
+    }
+
+    // PID output above which the blower runs
+    get _fanFloor() {
+        switch (this._outputMode) {
+            case OUTPUT_MODE.FAN:
+                return 0;
+            case OUTPUT_MODE.SERVO_FIRST:
+                return this._outputCrossover;
+            default:
+                return this._fanActiveFloor;
+        }
+    }
+
+    // PID output at which the damper is fully open
+    get _servoCeil() {
+        switch (this._outputMode) {
+            case OUTPUT_MODE.SERVO:
+                return 100;
+            case OUTPUT_MODE.SERVO_FIRST:
+                return this._outputCrossover;
+            default:
+                return this._servoActiveCeil;
+        }
+    }
+
     get lidOpenOffset() {
         return this._lidOpenOffset;
     }
@@ -224,28 +630,563 @@ class PitPID extends EventEmitter {
             value > LIDOPEN_MIN_AUTORESUME ? value : LIDOPEN_MIN_AUTORESUME;
     }
 
+    get pitHighAlarm() {
+        return this._pitAlarms.pitHigh.threshold;
+    }
+
+    // set null to disable
+    set pitHighAlarm(value) {
+        this._pitAlarms.pitHigh.threshold = value;
+    }
+
+    get pitLowAlarm() {
+        return this._pitAlarms.pitLow.threshold;
+    }
+
+    // set null to disable
+    set pitLowAlarm(value) {
+        this._pitAlarms.pitLow.threshold = value;
+    }
+
+    get alarmHysteresis() {
+        return this._alarmHysteresis;
+    }
+
+    set alarmHysteresis(value) {
+        this._alarmHysteresis = Math.abs(value);
+        for (const alarm of Object.values(this._allAlarms)) {
+            alarm.hysteresis = this._alarmHysteresis;
+        }
+    }
+
+    get _allAlarms() {
+        return { ...this._pitAlarms, ...this._probeAlarms };
+    }
+
+    // true if any alarm is ringing and has not been silenced
+    get hasAlarm() {
+        return (
+            (this._isOutOfFuel && !this._outOfFuelSilenced) ||
+            Object.values(this._allAlarms).some((alarm) => alarm.active)
+        );
+    }
+
+    // 'id' may be a probe address or probeIndex
+    // a threshold of null removes the alarm
+    // a probe with a tip target reports an 'eta' in 'status' estimating when
+    // it will be done (see 'done-predictor.js')
+    setProbeAlarm(id, threshold) {
+        if (threshold === null || threshold === undefined) {
+            delete this._probeAlarms[id];
+            return;
+        }
+        if (!(id in this._probeAlarms)) {
+            this._probeAlarms[id] = new ProbeAlarm(
+                ALARM_TYPE.HIGH,
+                null,
+                this._alarmHysteresis
+            );
+        }
+        this._probeAlarms[id].threshold = threshold;
+    }
+
+    getProbeAlarm(id) {
+        return id in this._probeAlarms ? this._probeAlarms[id].threshold : null;
+    }
+
+    // 'id' may be a probe address or probeIndex
+    // 'value' is { action: DONE_ACTION.HOLD, holdTemp } or
+    // { action: DONE_ACTION.OFF }, null removes the done action
+    // the action runs once the tip has stayed at the probe alarm threshold for
+    // 'doneDebounce' seconds, emitting 'probeDone' and reporting it in 'status'
+    // as 'probeDone' until the setpoint or mode is changed. It runs once per
+    // target, and actions taken are part of 'getState()'.
+    setProbeDoneAction(id, value) {
+        if (value === null || value === undefined) {
+            delete this._probeDoneActions[id];
+            return;
+        }
+        if (
+            !Object.values(DONE_ACTION).includes(value.action) ||
+            (value.action === DONE_ACTION.HOLD &&
+                (typeof value.holdTemp !== "number" || isNaN(value.holdTemp)))
+        ) {
+            console.warn(
+                `PitPID: Ignored invalid done action (${JSON.stringify(
+                    value
+                )}).`
+            );
+            return;
+        }
+        this._probeDoneActions[id] = {
+            action: value.action,
+            holdTemp: value.action === DONE_ACTION.HOLD ? value.holdTemp : null,
+        };
+    }
+
+    getProbeDoneAction(id) {
+        return id in this._probeDoneActions
+            ? { ...this._probeDoneActions[id] }
+            : null;
+    }
+
+    get doneDebounce() {
+        return this._doneDebounce;
+    }
+
+    set doneDebounce(value) {
+        this._doneDebounce = Math.max(0, value);
+    }
+
+    // 'alarm' and 'alarmCleared' are emitted as the pit high/low alarms or a
+    // probe's tip alarm change state, a ringing alarm may be silenced
+    // 'id' is 'pitHigh', 'pitLow', 'outOfFuel', or a probe alarm id
+    silenceAlarm(id) {
+        if (id === FUEL_ALARM_ID) {
+            if (this._isOutOfFuel && !this._outOfFuelSilenced) {
+                this._outOfFuelSilenced = true;
+                this.emit("alarmSilenced", this._outOfFuelData());
+            }
+            return;
+        }
+        const alarm = this._allAlarms[id];
+        if (alarm && alarm.silence()) {
+            this.emit("alarmSilenced", this._alarmData(id, alarm));
+        }
+    }
+
+    silenceAlarms() {
+        for (const id of Object.keys(this._allAlarms)) {
+            this.silenceAlarm(id);
+        }
+        this.silenceAlarm(FUEL_ALARM_ID);
+    }
+
+    // 'outOfFuel' is emitted on a sustained high average output while the pit
+    // temperature trends down below the setpoint over 'fuelTrendWindow'
+    // seconds, and 'outOfFuelCleared' once it's back at the setpoint or has
+    // risen 'fuelRecoveryRise' degrees from its low. Meanwhile 'outOfFuel' is
+    // a silenceable alarm in 'status'.
+    get fuelOutputThreshold() {
+        return this._fuelOutputThreshold;
+    }
+
+    set fuelOutputThreshold(value) {
+        this._fuelOutputThreshold = constrain(value, 0, 100);
+    }
+
+    get fuelTrendWindow() {
+        return this._fuelTrendWindow;
+    }
+
+    set fuelTrendWindow(value) {
+        this._fuelTrendWindow = Math.max(60, value);
+        this._fuelTempHistory = [];
+    }
+
+    get fuelRecoveryRise() {
+        return this._fuelRecoveryRise;
+    }
+
+    set fuelRecoveryRise(value) {
+        this._fuelRecoveryRise = Math.abs(value);
+    }
+
+    get fuelSafeOutput() {
+        return this._fuelSafeOutput;
+    }
+
+    // set null to leave the output uncapped while out of fuel
+    set fuelSafeOutput(value) {
+        this._fuelSafeOutput =
+            value === null || value === undefined || isNaN(value)
+                ? null
+                : constrain(value, 0, 100);
+    }
+
+    get isOutOfFuel() {
+        return this._isOutOfFuel;
+    }
+
+    // acknowledge a refuel, e.g. when recovery is slowed by 'fuelSafeOutput'
+    clearOutOfFuel() {
+        this._clearOutOfFuel("manual");
+    }
+
     get numProbes() {
         return Object.keys(this._connectedProbes).length;
     }
 
-    get pitTemp() {
-        return this._currentTemp;
+    get pitTemp() {
+        return this._currentTemp;
+    }
+
+    // 'id' may be a probe address or probeIndex
+    // a role of null restores the default (PROBE_ROLE.PIT)
+    // only PIT probes contribute to the pit temperature, FOOD and IGNORE
+    // probes are tracked and reported only
+    setProbeRole(id, role) {
+        if (role === null || role === undefined) {
+            delete this._probeRoles[id];
+        } else if (Object.values(PROBE_ROLE).includes(role)) {
+            this._probeRoles[id] = role;
+        } else {
+            console.warn(`PitPID: Ignored invalid probe role (${role}).`);
+            return;
+        }
+        this._updatePitTemp();
+    }
+
+    // look up a probe's value in an object keyed by address or probeIndex
+    // an address key takes precedence over a probeIndex key
+    _lookupProbeValue(map, probe, defaultValue) {
+        if (probe.address in map) {
+            return map[probe.address];
+        }
+        if (probe.probeIndex in map) {
+            return map[probe.probeIndex];
+        }
+        return defaultValue;
+    }
+
+    _getRole(probe) {
+        return this._lookupProbeValue(this._probeRoles, probe, PROBE_ROLE.PIT);
+    }
+
+    getProbeRole(id) {
+        const probe = this._findProbe(id);
+        if (probe) {
+            return this._getRole(probe);
+        }
+        return id in this._probeRoles ? this._probeRoles[id] : PROBE_ROLE.PIT;
+    }
+
+    get pitTempStrategy() {
+        return this._pitTempStrategy;
+    }
+
+    // one of PIT_TEMP_STRATEGY, how the pit probes are combined
+    set pitTempStrategy(value) {
+        if (!Object.values(PIT_TEMP_STRATEGY).includes(value)) {
+            console.warn(
+                `PitPID: Ignored invalid pit temp strategy (${value}).`
+            );
+            return;
+        }
+        this._pitTempStrategy = value;
+        this._updatePitTemp();
+    }
+
+    // probe address or probeIndex used by PIT_TEMP_STRATEGY.PROBE
+    get pitTempProbe() {
+        return this._pitTempProbe;
+    }
+
+    // a numeric probeIndex (e.g. from config) matches the probes' string one
+    set pitTempProbe(value) {
+        this._pitTempProbe =
+            value === null || value === undefined ? null : String(value);
+        this._updatePitTemp();
+    }
+
+    // weights used by PIT_TEMP_STRATEGY.WEIGHTED
+    // a weight of null restores the default (1)
+    setProbeWeight(id, weight) {
+        if (weight === null || weight === undefined) {
+            delete this._probeWeights[id];
+        } else {
+            this._probeWeights[id] = Math.max(0, weight);
+        }
+        this._updatePitTemp();
+    }
+
+    getProbeWeight(id) {
+        const probe = this._findProbe(id);
+        if (probe) {
+            return this._lookupProbeValue(this._probeWeights, probe, 1);
+        }
+        return id in this._probeWeights ? this._probeWeights[id] : 1;
+    }
+
+    // a probe expected to stall for 'minutes' (e.g. a pork butt), its ETA
+    // allows for the stall before it's reached; null (or 0) for none
+    setProbeStallMinutes(id, minutes) {
+        if (minutes === null || minutes === undefined || !(minutes > 0)) {
+            delete this._probeStallMinutes[id];
+        } else {
+            this._probeStallMinutes[id] = minutes;
+        }
+    }
+
+    getProbeStallMinutes(id) {
+        const probe = this._findProbe(id);
+        if (probe) {
+            return this._lookupProbeValue(this._probeStallMinutes, probe, 0);
+        }
+        return id in this._probeStallMinutes ? this._probeStallMinutes[id] : 0;
+    }
+
+    get probeStaleTimeout() {
+        return this._probeStaleTimeout;
+    }
+
+    // (s) a silent probe is marked stale ('probeStale') and left out of the pit
+    // temperature and alarms until it reports again ('probeFresh')
+    set probeStaleTimeout(value) {
+        this._probeStaleTimeout = Math.max(1, value);
+    }
+
+    get probeRemoveTimeout() {
+        return this._probeRemoveTimeout;
+    }
+
+    // (s) a probe silent this long is removed ('probeRemoved')
+    // set null to keep stale probes until they disconnect
+    set probeRemoveTimeout(value) {
+        this._probeRemoveTimeout =
+            value === null || value === undefined || isNaN(value)
+                ? null
+                : Math.max(1, value);
+    }
+
+    // (s) stall duration assumed by done time predictions once a probe without
+    // 'setProbeStallMinutes()' stalls
+    get stallDuration() {
+        return this._stallDuration;
+    }
+
+    set stallDuration(value) {
+        this._stallDuration = Math.max(0, value);
+    }
+
+    // stall model options (see 'DonePredictor.stallOptions')
+    get stallOptions() {
+        return this._stallOptions === null
+            ? defaultStallOptions(this._units)
+            : { ...this._stallOptions };
+    }
+
+    // { minTemp, maxTemp, startRate, endRate } in the controller's units,
+    // missing options use the defaults
+    // every probe's 'stall' state in 'status' comes from this model
+    set stallOptions(value) {
+        const options = defaultStallOptions(this._units);
+        for (const key of Object.keys(options)) {
+            if (value && value[key] !== null && value[key] !== undefined) {
+                options[key] = value[key];
+            }
+        }
+        this._stallOptions = options;
+        for (const predictor of Object.values(this._donePredictors)) {
+            predictor.stallOptions = this._stallOptions;
+        }
+    }
+
+    // connected (non-stale) probes that contribute to the pit temperature
+    get pitProbes() {
+        return Object.values(this._connectedProbes).filter(
+            (probe) => !probe.stale && this._getRole(probe) === PROBE_ROLE.PIT
+        );
+    }
+
+    // return an array containing all pit probe temperatures
+    get allAmbientTemps() {
+        return this.pitProbes.map((probe) => probe.ambient);
+    }
+
+    get units() {
+        return this._units;
+    }
+
+    // converts the setpoint, alarm thresholds, lid open offset, gain schedule
+    // ranges and stored temperatures, and emits 'unitsChange'. The gains are
+    // per degree, so they are scaled to give the same output for the same
+    // error. A probe reporting new units does the same.
+    set units(value) {
+        if (value !== FAHRENHEIT && value !== CELSIUS) {
+            console.warn(`PitPID: Ignored invalid units (${value}).`);
+            return;
+        }
+        const from = this._units;
+        if (value === from) {
+            return;
+        }
+        this._units = value;
+        // the first units are adopted as-is
+        if (from !== null) {
+            this._convertUnits(from, value);
+        }
+    }
+
+    _convertUnits(from, to) {
+        const convert = (temp) => convertTemperature(temp, from, to);
+        const convertDelta = (delta) =>
+            convertTemperatureDelta(delta, from, to);
+        // gains are output percent per degree (or per degree second, etc.)
+        const convertGains = (gains) => {
+            for (const term of ["P", "I", "D"]) {
+                if (typeof gains[term] === "number") {
+                    gains[term] /= convertDelta(1);
+                }
+            }
+        };
+
+        // the relay setpoint and bands can't follow, so start over
+        this.abortAutotune();
+
+        if (this._setPoint !== null) {
+            // keep the lid open temperature drop the same number of degrees
+            const lidOpenDrop = (this._setPoint * this._lidOpenOffset) / 100;
+            this._setPoint = convert(this._setPoint);
+            if (this._setPoint > 0) {
+                this._lidOpenOffset = constrain(
+                    (convertDelta(lidOpenDrop) * 100) / this._setPoint,
+                    0,
+                    100
+                );
+            }
+        }
+
+        this._temperatureAvg = convert(this._temperatureAvg);
+        for (const probe of Object.values(this._connectedProbes)) {
+            probe.tip = convert(probe.tip);
+            probe.ambient = convert(probe.ambient);
+        }
+        for (const sample of this._fuelTempHistory) {
+            sample.temp = convert(sample.temp);
+        }
+        this._fuelLowTemp = convert(this._fuelLowTemp);
+        this._fuelRecoveryRise = convertDelta(this._fuelRecoveryRise);
+        for (const predictor of Object.values(this._donePredictors)) {
+            predictor.convertUnits(from, to);
+        }
+        if (this._stallOptions !== null) {
+            this._stallOptions = convertStallOptions(
+                this._stallOptions,
+                from,
+                to
+            );
+        }
+        for (const action of Object.values(this._probeDoneActions)) {
+            action.holdTemp = convert(action.holdTemp);
+        }
+        for (const state of Object.values(this._doneStates)) {
+            state.holdTemp = convert(state.holdTemp);
+            state.target = convert(state.target);
+        }
+        if (this._probeDone !== null) {
+            this._probeDone.holdTemp = convert(this._probeDone.holdTemp);
+        }
+
+        this._alarmHysteresis = convertDelta(this._alarmHysteresis);
+        for (const alarm of Object.values(this._allAlarms)) {
+            alarm.convertUnits(from, to);
+        }
+
+        convertGains(this._Pid);
+        for (const entry of this._gainSchedule) {
+            entry.minSetPoint = convert(entry.minSetPoint);
+            entry.maxSetPoint = convert(entry.maxSetPoint);
+            convertGains(entry.pid);
+        }
+        if (this._gainSet !== null) {
+            // so the change isn't taken for a gain change (bumpless transfer)
+            convertGains(this._gainSet);
+        }
+
+        this._updatePitTemp();
+        this.emit("unitsChange", { from: from, to: to });
+    }
+
+    get setPoint() {
+        return this._setPoint;
+    }
+
+    set setPoint(value) {
+        this.pidMode = PIDMODE.STARTUP;
+        this._setPoint = value;
+    }
+
+    // change the setpoint without re-entering STARTUP mode
+    // intended for gradual changes such as setpoint ramps
+    adjustSetPoint(value) {
+        this._setPoint = value;
+    }
+
+    // cook program stage information included in 'status' (see CookProgram)
+    get cookStage() {
+        return this._cookStage === null ? null : { ...this._cookStage };
     }
 
-    // return an array containing all probe temperatures
-    get allAmbientTemps() {
-        return Object.values(this._connectedProbes).map(
-            (probe) => probe.ambient
-        );
+    set cookStage(value) {
+        this._cookStage = value === null ? null : { ...value };
     }
 
-    get setPoint() {
-        return this._setPoint;
+    // snapshot of the controller state for 'restoreState()' (see PitCheckpoint)
+    // (mode, integral term, averages, setpoint, lid, cook stage and done
+    // actions taken) so a restart mid-cook doesn't begin again from STARTUP
+    // an autotune run is not resumable, so it is saved as STARTUP
+    getState() {
+        return {
+            mode:
+                this._pidMode === PIDMODE.AUTOTUNE
+                    ? PIDMODE.STARTUP
+                    : this._pidMode,
+            setPoint: this._setPoint,
+            units: this._units,
+            pidI: this._pidCurrent.I,
+            pidOutput: this._pidOutput,
+            pidOutputAvg: this._pidOutputAvg,
+            temperatureAvg: this._temperatureAvg,
+            lidCountdown: this._lidOpenResumeCountdown,
+            cookStage: this.cookStage,
+            probeDone: this._probeDone === null ? null : { ...this._probeDone },
+            // only the actions taken, a debounce in progress starts over
+            doneStates: Object.fromEntries(
+                Object.entries(this._doneStates)
+                    .filter(([, state]) => state.fired)
+                    .map(([address, state]) => [address, { ...state }])
+            ),
+        };
     }
 
-    set setPoint(value) {
-        this.pidMode = PIDMODE.STARTUP;
-        this._setPoint = value;
+    // resume from a 'getState()' snapshot, e.g. after a restart mid-cook
+    // restoring the units prevents the first probe update from clearing
+    // the temperature average
+    restoreState(state) {
+        this._endAutotune("restore");
+        this._clearLidOpen("mode");
+        this._pidMode = state.mode;
+        this._setPoint = state.setPoint;
+        this._units = state.units;
+        this._pidCurrent.I = state.pidI;
+        this._pidOutput = state.mode === PIDMODE.MANUAL ? state.pidOutput : 0;
+        this._pidOutputAvg = state.pidOutputAvg;
+        this._temperatureAvg = state.temperatureAvg;
+        this.cookStage = state.cookStage;
+        this._probeDone = state.probeDone ? { ...state.probeDone } : null;
+        this._doneStates = {};
+        for (const [address, doneState] of Object.entries(
+            state.doneStates || {}
+        )) {
+            this._doneStates[address] = { ...doneState, since: null };
+        }
+
+        if (state.lidCountdown > 0 && state.mode <= PIDMODE.AUTO_LAST) {
+            this._pidMode = PIDMODE.RECOVERY;
+            this._lidOpenResumeCountdown = Math.min(
+                state.lidCountdown,
+                this._lidOpenDuration
+            );
+            this.emit("lidOpen", {
+                duration: this._lidOpenResumeCountdown,
+                manual: false,
+            });
+        }
+
+        if (this.isOff) {
+            this._commitOffOutput(true);
+        }
     }
 
     // manually set pidOutput to invoke manual mode
@@ -264,16 +1205,30 @@ class PitPID extends EventEmitter {
     }
 
     get isLidOpen() {
-        return millis() < this._lidOpenTimeout;
+        return this._lidOpenResumeCountdown > 0;
     }
 
     get lidOpenResumeCountdown() {
-        return (millis() - this._lidOpenTimeout) / 1000;
+        return this._lidOpenResumeCountdown;
+    }
+
+    // manually enter lid open mode (only in automatic modes)
+    // 'lidOpen' and 'lidClose' are emitted whether the lid is detected (by a
+    // temperature drop) or set manually, the blower is held off while open
+    lidOpen() {
+        if (this._pidMode <= PIDMODE.AUTO_LAST) {
+            this._resetLidOpenResumeCountdown(true);
+        }
+    }
+
+    // manually exit lid open mode
+    lidClose() {
+        this._clearLidOpen("manual");
     }
 
     get hasTemperature() {
         return (
-            this.numProbes > 0 &&
+            this.pitProbes.length > 0 &&
             this._currentTemp !== null &&
             !isNaN(this._currentTemp) &&
             this._temperatureAvg !== null &&
@@ -290,12 +1245,354 @@ class PitPID extends EventEmitter {
                 this._currentTemp
             );
         }
-        // TODO: update alarm status
+        this._updateStaleProbes();
+        this._updateAlarms();
+        this._updateDonePredictors();
+        this._updateDoneActions();
+    }
+
+    // a probe's tip target is its probe alarm threshold
+    _probeTarget(probe) {
+        const alarm = this._lookupProbeValue(this._probeAlarms, probe, null);
+        return alarm === null ? null : alarm.threshold;
+    }
+
+    _updateDonePredictors() {
+        const now = this._clock.millis() / 1000;
+        for (const probe of Object.values(this._connectedProbes)) {
+            if (probe.stale) {
+                continue;
+            }
+            if (!(probe.address in this._donePredictors)) {
+                this._donePredictors[probe.address] = new DonePredictor(
+                    this._units,
+                    this._stallDuration,
+                    this._stallOptions
+                );
+            }
+            const predictor = this._donePredictors[probe.address];
+            const stallMinutes = this._lookupProbeValue(
+                this._probeStallMinutes,
+                probe,
+                0
+            );
+            predictor.expectStall = stallMinutes > 0;
+            predictor.stallDuration =
+                stallMinutes > 0 ? stallMinutes * 60 : this._stallDuration;
+            // the probe's own ambient is the pit temperature at the food
+            predictor.addSample(now, probe.tip, probe.ambient);
+        }
+    }
+
+    _updateDoneActions() {
+        const now = this._clock.millis() / 1000;
+        for (const probe of Object.values(this._connectedProbes)) {
+            const action = this._lookupProbeValue(
+                this._probeDoneActions,
+                probe,
+                null
+            );
+            const target = this._probeTarget(probe);
+            if (action === null || target === null) {
+                delete this._doneStates[probe.address];
+                continue;
+            }
+
+            // a new action or target re-arms the probe
+            let state = this._doneStates[probe.address];
+            if (
+                !state ||
+                state.action !== action.action ||
+                state.holdTemp !== action.holdTemp ||
+                state.target !== target
+            ) {
+                state = this._doneStates[probe.address] = {
+                    action: action.action,
+                    holdTemp: action.holdTemp,
+                    target: target,
+                    since: null,
+                    fired: false,
+                };
+            }
+            if (state.fired) {
+                continue;
+            }
+
+            // debounce: the tip must stay at the target
+            if (probe.stale || !(probe.tip >= target)) {
+                state.since = null;
+                continue;
+            }
+            if (state.since === null) {
+                state.since = now;
+            }
+            if (now - state.since >= this._doneDebounce && !this.isOff) {
+                state.fired = true;
+                this._runDoneAction(probe, action, target);
+            }
+        }
+    }
+
+    _runDoneAction(probe, action, target) {
+        if (action.action === DONE_ACTION.OFF) {
+            this.pidMode = PIDMODE.OFF;
+        } else {
+            this.setPoint = action.holdTemp;
+        }
+        this._probeDone = {
+            address: probe.address,
+            probeIndex: probe.probeIndex,
+            action: action.action,
+            holdTemp: action.holdTemp,
+        };
+        this.emit("probeDone", {
+            ...this._probeDone,
+            tip: probe.tip,
+            target: target,
+            units: this._units,
+        });
+    }
+
+    _probeEta(probe) {
+        const target = this._probeTarget(probe);
+        const predictor = this._donePredictors[probe.address];
+        return target === null || !predictor ? null : predictor.predict(target);
+    }
+
+    _probeStall(probe) {
+        const predictor = this._donePredictors[probe.address];
+        return predictor ? predictor.stallState : null;
+    }
+
+    // seconds since the probe's last update
+    _probeAge(probe) {
+        return (this._clock.millis() - probe.timestamp.getTime()) / 1000;
+    }
+
+    _probeEventData(probe) {
+        return {
+            address: probe.address,
+            probeIndex: probe.probeIndex,
+            age: this._probeAge(probe),
+        };
+    }
+
+    _updateStaleProbes() {
+        let isChanged = false;
+        for (const probe of Object.values(this._connectedProbes)) {
+            const age = this._probeAge(probe);
+            if (
+                this._probeRemoveTimeout !== null &&
+                age > this._probeRemoveTimeout
+            ) {
+                delete this._connectedProbes[probe.address];
+                delete this._donePredictors[probe.address];
+                this.emit("probeRemoved", this._probeEventData(probe));
+                isChanged = true;
+            } else if (!probe.stale && age > this._probeStaleTimeout) {
+                probe.stale = true;
+                this.emit("probeStale", this._probeEventData(probe));
+                isChanged = true;
+            }
+        }
+        if (isChanged) {
+            this._updatePitTemp();
+        }
+    }
+
+    // returns the connected probe matching an address or probeIndex
+    _findProbe(id) {
+        if (id in this._connectedProbes) {
+            return this._connectedProbes[id];
+        }
+        return (
+            Object.values(this._connectedProbes).find(
+                (probe) => probe.probeIndex === String(id)
+            ) || null
+        );
+    }
+
+    _alarmData(id, alarm, value = null) {
+        return {
+            id: id,
+            type: alarm.type,
+            threshold: alarm.threshold,
+            value: value,
+            units: this._units,
+        };
+    }
+
+    _updateAlarm(id, alarm, value) {
+        const event = alarm.update(value);
+        if (event === ALARM_EVENT.RING) {
+            this.emit("alarm", this._alarmData(id, alarm, value));
+        } else if (event === ALARM_EVENT.CLEAR) {
+            this.emit("alarmCleared", this._alarmData(id, alarm, value));
+        }
+    }
+
+    // disarm all alarms, clearing any that are ringing
+    _resetAlarms() {
+        for (const [id, alarm] of Object.entries(this._allAlarms)) {
+            const wasRinging = alarm.ringing;
+            alarm.reset();
+            if (wasRinging) {
+                this.emit("alarmCleared", this._alarmData(id, alarm));
+            }
+        }
+    }
+
+    _updateAlarms() {
+        if (this.isOff) {
+            return;
+        }
+        const pitTemp = this.hasTemperature ? this._currentTemp : null;
+        for (const [id, alarm] of Object.entries(this._pitAlarms)) {
+            this._updateAlarm(id, alarm, pitTemp);
+        }
+        for (const [id, alarm] of Object.entries(this._probeAlarms)) {
+            const probe = this._findProbe(id);
+            this._updateAlarm(
+                id,
+                alarm,
+                probe && !probe.stale ? probe.tip : null
+            );
+        }
+    }
+
+    _alarmStatus() {
+        const alarms = Object.entries(this._allAlarms)
+            .filter(([, alarm]) => alarm.enabled)
+            .map(([id, alarm]) => ({
+                id: id,
+                type: alarm.type,
+                threshold: alarm.threshold,
+                ringing: alarm.ringing,
+                silenced: alarm.silenced,
+            }));
+        if (this._isOutOfFuel) {
+            alarms.push({
+                id: FUEL_ALARM_ID,
+                type: "fuel",
+                threshold: this._fuelOutputThreshold,
+                ringing: true,
+                silenced: this._outOfFuelSilenced,
+            });
+        }
+        return alarms;
+    }
+
+    _outOfFuelData(trend = null) {
+        return {
+            id: FUEL_ALARM_ID,
+            type: "fuel",
+            threshold: this._fuelOutputThreshold,
+            value: this._pidOutputAvg,
+            pitTemp: this._currentTemp,
+            setPoint: this._setPoint,
+            trend: trend, // degrees per hour
+            units: this._units,
+        };
+    }
+
+    // 'reason' is one of "manual", "mode", or "recovered"
+    _clearOutOfFuel(reason) {
+        this._fuelTempHistory = [];
+        this._fuelLowTemp = null;
+        if (this._isOutOfFuel) {
+            this._isOutOfFuel = false;
+            this._outOfFuelSilenced = false;
+            this.emit("outOfFuelCleared", { reason: reason });
+        }
+    }
+
+    // called once per measurement period in automatic modes
+    _updateOutOfFuel() {
+        if (!this.hasTemperature || this.isLidOpen) {
+            // lid open drops are not a fuel problem, start a new trend
+            this._fuelTempHistory = [];
+            return;
+        }
+
+        if (this._isOutOfFuel) {
+            // recovered once back at the setpoint or clearly rising (on the
+            // average, so noise can't add up to a rise), not on the first
+            // uptick of the trend
+            this._fuelLowTemp = Math.min(
+                this._fuelLowTemp,
+                this._temperatureAvg
+            );
+            if (
+                this._currentTemp >= this._setPoint ||
+                this._temperatureAvg - this._fuelLowTemp >=
+                    this._fuelRecoveryRise
+            ) {
+                this._clearOutOfFuel("recovered");
+            }
+            return;
+        }
+
+        const now = this._clock.millis() / 1000;
+        const history = this._fuelTempHistory;
+        history.push({ time: now, temp: this._currentTemp });
+        while (
+            history.length > 1 &&
+            history[1].time <= now - this._fuelTrendWindow
+        ) {
+            history.shift();
+        }
+        if (now - history[0].time < this._fuelTrendWindow) {
+            return;
+        }
+
+        const slope = calcLinearSlope(
+            history.map((sample) => sample.time),
+            history.map((sample) => sample.temp)
+        );
+        if (
+            this._pidOutputAvg >= this._fuelOutputThreshold &&
+            this._currentTemp < this._setPoint &&
+            slope < 0
+        ) {
+            this._isOutOfFuel = true;
+            this._outOfFuelSilenced = false;
+            this._fuelLowTemp = this._temperatureAvg;
+            this.emit("outOfFuel", this._outOfFuelData(slope * 3600));
+        }
+    }
+
+    _probeStatus() {
+        return Object.values(this._connectedProbes).map((probe) => ({
+            address: probe.address,
+            probeIndex: probe.probeIndex,
+            role: this._getRole(probe),
+            tip: probe.tip,
+            ambient: probe.ambient,
+            battery: probe.battery,
+            age: this._probeAge(probe),
+            stale: probe.stale,
+            target: this._probeTarget(probe),
+            eta: this._probeEta(probe),
+            stall: this._probeStall(probe),
+        }));
     }
 
-    _resetLidOpenTimeout() {
+    _resetLidOpenResumeCountdown(isManual = false) {
         this._pidMode = PIDMODE.RECOVERY;
-        this._lidOpenTimeout = millis() + this._lidOpenOffset * 1000;
+        this._lidOpenResumeCountdown = this._lidOpenDuration;
+        this.emit("lidOpen", {
+            duration: this._lidOpenDuration,
+            manual: isManual,
+        });
+    }
+
+    // 'reason' is one of "manual", "mode", "recovered", or "timeout"
+    _clearLidOpen(reason) {
+        const wasOpen = this.isLidOpen;
+        this._lidOpenResumeCountdown = 0;
+        if (wasOpen) {
+            this.emit("lidClose", { reason: reason });
+        }
     }
 
     _lidModeShouldActivate(tempDiff) {
@@ -305,17 +1602,54 @@ class PitPID extends EventEmitter {
         // Note that the code assumes we're not currently counting down
         return (
             this._lidOpenOffset > 0 &&
-            this.isPitTempReached() &&
+            this.isPitTempReached &&
             (tempDiff * 100) / this._setPoint >= this._lidOpenOffset &&
             this._pidOutputAvg < 90
         );
     }
 
+    _updateLidOpenMode() {
+        if (!this.hasTemperature) {
+            return;
+        }
+
+        const tempDiff = this._setPoint - this._currentTemp;
+
+        if (
+            tempDiff <= 0 &&
+            this._lidOpenDuration - this._lidOpenResumeCountdown >
+                LIDOPEN_MIN_AUTORESUME
+        ) {
+            // When we first achieve temperature, reduce any I sum we accumulated during startup
+            // If we actually neded that sum to achieve temperature we'll rebuild it, and it
+            // prevents bouncing around above the temperature when you first start up
+            if (this._pidMode == PIDMODE.STARTUP) {
+                this._pidCurrent.I *= 0.5;
+            }
+            this._pidMode = PIDMODE.NORMAL;
+            this._clearLidOpen("recovered");
+        } else if (this._lidOpenResumeCountdown > 0) {
+            this._lidOpenResumeCountdown = Math.max(
+                0,
+                this._lidOpenResumeCountdown - TEMP_MEASURE_PERIOD / 1000
+            );
+            if (this._lidOpenResumeCountdown === 0) {
+                this.emit("lidClose", { reason: "timeout" });
+            }
+        } else if (this._lidModeShouldActivate(tempDiff)) {
+            this._resetLidOpenResumeCountdown();
+        }
+    }
+
     _emitFanOutput(value) {
         this.emit("output", { type: "fan", value: value });
     }
 
+    // 'value' is the damper position, inverted here if required
     _emitServoOutput(value) {
+        if (this._servoInvert) {
+            value = this._servoMinPos + this._servoMaxPos - value;
+        }
         this.emit("output", { type: "servo", value: value });
     }
 
@@ -323,10 +1657,15 @@ class PitPID extends EventEmitter {
         this.emit("status", {
             mode: PIDMODE_STR[this.pidMode],
             numProbes: this.numProbes,
+            probes: this._probeStatus(),
+            pitTempStrategy: this._pitTempStrategy,
+            pitTempSources: [...this._pitTempSources],
             pitTemp: this.pitTemp,
             setPoint: this.setPoint,
             units: this._units,
             pidOutput: this.pidOutPut,
+            gainSet: this.gainSet,
+            outputMode: this._outputMode,
             fanPct: this._fanPct,
             servoPct: mapRange(
                 this._servoPct,
@@ -335,18 +1674,31 @@ class PitPID extends EventEmitter {
                 0,
                 100
             ),
-            // TODO: report lid open status
+            hasAlarm: this.hasAlarm,
+            alarms: this._alarmStatus(),
+            lidOpen: this.isLidOpen,
+            lidCountdown: this._lidOpenResumeCountdown,
+            outOfFuel: this._isOutOfFuel,
+            probeDone: this._probeDone === null ? null : { ...this._probeDone },
+            autotune: this._autotune ? this._autotune.progress : null,
+            cookStage: this.cookStage,
         });
     }
 
     _commitServoOutput() {
-        // Servo is open 0% at 0 PID output and 100% at _servoActiveCeil PID output
+        // Servo is open 0% at 0 PID output and 100% at _servoCeil PID output
         let output = 0;
+        const ceil = this._servoCeil;
 
-        if (this._pidOutput >= this._servoActiveCeil) {
+        if (this._pidOutput >= ceil) {
             output = 100;
         } else {
-            output = (this._pidOutput * 100) / this._servoActiveCeil;
+            output = (this._pidOutput * 100) / ceil;
+        }
+
+        // Fan is "on" if it's running or is scheduled to be running
+        if (this._servoOpenWithFan && this._fanPct > 0) {
+            output = 100;
         }
 
         // Get the output position by LERPing between min and max
@@ -365,14 +1717,14 @@ class PitPID extends EventEmitter {
 
     _commitFanOutput() {
         let newFanSpeed = null;
+        const floor = this._fanFloor;
 
-        if (this._pidOutput < this._fanActiveFloor) {
+        if (this._pidOutput < floor) {
             newFanSpeed = 0;
         } else {
-            const range = 100 - this._fanActiveFloor;
+            const range = 100 - floor;
             const max = this.fanCurrentMaxSpeed;
-            newFanSpeed =
-                ((this._pidOutput - this._fanActiveFloor) * max) / range;
+            newFanSpeed = ((this._pidOutput - floor) * max) / range;
         }
 
         /* For anything above _minFanSpeed, do a nomal PWM write.
@@ -418,14 +1770,48 @@ class PitPID extends EventEmitter {
         this._emitFanOutput(this._lastBlowerOutput);
     }
 
+    // blower off, damper closed (only the outputs in use are commanded, an
+    // output the mode doesn't drive was parked when the mode was set)
+    _commitOffOutput(force = false) {
+        this._pidOutput = 0;
+        this._fanPct = 0;
+        this._lastBlowerOutput = 0;
+        this._longPwmRemaining = 0;
+        this._longPwmTmr = 0;
+        if (this._hasFanOutput) {
+            this._emitFanOutput(0);
+        }
+
+        this._servoHoldoff++;
+        if (
+            force ||
+            this._servoPct !== this._servoMinPos ||
+            this._servoHoldoff > SERVO_MAX_HOLDOFF
+        ) {
+            this._servoPct = this._servoMinPos;
+            this._servoHoldoff = 0;
+            if (this._hasServoOutput) {
+                this._emitServoOutput(this._servoPct);
+            }
+        }
+    }
+
     _commitPidOutput() {
         this._pidOutputAvg = calcExpMovingAverage(
             PID_OUTPUT_AVG_SMOOTH,
             this._pidOutputAvg,
             this._pidOutput
         );
-        this._commitFanOutput();
-        this._commitServoOutput();
+        if (this.isOff) {
+            this._commitOffOutput();
+        } else {
+            if (this._hasFanOutput) {
+                this._commitFanOutput();
+            }
+            if (this._hasServoOutput) {
+                this._commitServoOutput();
+            }
+        }
         this._emitStatusReport();
     }
 
@@ -433,6 +1819,68 @@ class PitPID extends EventEmitter {
         return this.isPitTempReached ? 100 : this._fanMaxStartupSpeed;
     }
 
+    // If using PoMeEr, the max windup has to be extended to allow 100% output at curr == set
+    _getPidIExMax(P) {
+        let exHigh = this._getPidIMax();
+        if (P < 0.0) {
+            exHigh += (-1.0 + PID_PONMEER_LAMBDA) * P * this._setPoint;
+        }
+        return exHigh;
+    }
+
+    _calcPTerm(P) {
+        if (P < 0) {
+            // PPPPP = fan speed percent per degree of temperature minus current
+            // lambda * P * error - (1-lambda) * P * curr => P * (lambda * set - curr)
+            // (Linear combination of Proportional on Measurement and Error)
+            return (
+                P * (-PID_PONMEER_LAMBDA * this._setPoint + this._currentTemp)
+            );
+        }
+        // PPPPP = fan speed percent per degree of error (Proportional on Error)
+        return P * (this._setPoint - this._currentTemp);
+    }
+
+    // first gain schedule entry matching the current mode and setpoint,
+    // terms it doesn't specify come from 'pid'
+    _scheduledGains() {
+        for (const entry of this._gainSchedule) {
+            if (
+                (entry.modes === null || entry.modes.includes(this._pidMode)) &&
+                (entry.minSetPoint === null ||
+                    this._setPoint >= entry.minSetPoint) &&
+                (entry.maxSetPoint === null ||
+                    this._setPoint <= entry.maxSetPoint)
+            ) {
+                return { name: entry.name, ...this._Pid, ...entry.pid };
+            }
+        }
+        return { name: GAIN_SET_DEFAULT, ...this._Pid };
+    }
+
+    // select the gains for this period. When they change, the I sum absorbs
+    // the step in the P and D terms so the output doesn't jump (bumpless transfer)
+    _updateGainSet() {
+        const gains = this._scheduledGains();
+        const last = this._gainSet;
+        this._gainSet = gains;
+
+        if (
+            last !== null &&
+            (last.P !== gains.P || last.I !== gains.I || last.D !== gains.D)
+        ) {
+            const tempDelta = this._temperatureAvg - this._currentTemp;
+            const lastPD = this._calcPTerm(last.P) + last.D * tempDelta;
+            const newPD = this._calcPTerm(gains.P) + gains.D * tempDelta;
+            this._pidCurrent.I = constrain(
+                this._pidCurrent.I + lastPD - newPD,
+                0,
+                this._getPidIExMax(gains.P)
+            );
+        }
+        return gains;
+    }
+
     _calcPidOutput() {
         const lastOutput = this._pidOutput;
         this._pidOutput = 0;
@@ -441,38 +1889,28 @@ class PitPID extends EventEmitter {
             return;
         }
 
-        if (this._isLidOpen) {
+        if (this.isLidOpen) {
             return;
         }
 
         const error = this._setPoint - this._currentTemp;
+        const gains = this._updateGainSet();
 
-        if (this._Pid.P < 0) {
-            // PPPPP = fan speed percent per degree of temperature minus current
-            // lambda * P * error - (1-lambda) * P * curr => P * (lambda * set - curr)
-            // (Linear combination of Proportional on Measurement and Error)
-            this._pidCurrent.P =
-                this._Pid.P *
-                (-PID_PONMEER_LAMBDA * this._setPoint + this._currentTemp);
-        } else {
-            // PPPPP = fan speed percent per degree of error (Proportional on Error)
-            this._pidCurrent.P = this._Pid.P * error;
-        }
+        this._pidCurrent.P = this._calcPTerm(gains.P);
 
         const high = this._getPidIMax();
         if ((error < 0 && lastOutput > 0) || (error > 0 && lastOutput < high)) {
-            this._pidCurrent.I += this._Pid.I * error;
-            // If using PoMeEr, the max windup has to be extended to allow 100% output at curr == set
-            const exHigh = high;
-            if (this._Pid.P < 0.0) {
-                exHigh += (-1.0 + PID_PONMEER_LAMBDA) * Pid.P * this._setPoint;
-            }
-            this._pidCurrent.I = constrain(this._pidCurrent.I, 0, exHigh);
+            this._pidCurrent.I += gains.I * error;
+            this._pidCurrent.I = constrain(
+                this._pidCurrent.I,
+                0,
+                this._getPidIExMax(gains.P)
+            );
         }
 
         // DDDDD = fan speed percent per degree of change over TEMPPROBE_AVG_SMOOTH period (Derivative on Measurement)
         this._pidCurrent.D =
-            this._Pid.D * (this._temperatureAvg - this._currentTemp);
+            gains.D * (this._temperatureAvg - this._currentTemp);
 
         // ! the B (bias) term was deprecated in HeaterMeter
         // BBBBB = fan speed percent (always 0)
@@ -481,49 +1919,152 @@ class PitPID extends EventEmitter {
         const control =
             this._pidCurrent.P + this._pidCurrent.I + this._pidCurrent.D;
         this._pidOutput = constrain(control, 0, 100);
-    }
-
-    _setUnits(units) {
-        this._units = units;
 
-        // clear _temperatureAvg to prevent D term jumps on the pit probe
-        this._temperatureAvg = null;
-        // TODO: implement PID_MODE.OFF, since HeaterMeter uses '0' units as a flag for that, but it seems ungainly here
+        // don't run the blower all night on a dead fire
+        if (this._isOutOfFuel && this._fuelSafeOutput !== null) {
+            this._pidOutput = Math.min(this._pidOutput, this._fuelSafeOutput);
+        }
     }
 
     // call this when a probe's temperature is updated
     // first call on a newly connected probe will add it to the system
     // triggers weighted averaging and smoothing of temperature
     updateProbe(data) {
+        // assume all probes will emit the same unit
+        // a change converts the setpoint and existing data (see 'units')
+        if (data.units !== this._units) {
+            this.units = data.units;
+        }
+
         if (!(data.address in this._connectedProbes)) {
-            this._connectedProbes[data.address] = {};
+            this._connectedProbes[data.address] = { stale: false };
+        }
+        const probe = this._connectedProbes[data.address];
+        probe.address = data.address;
+        probe.probeIndex = data.probeIndex;
+        probe.timestamp = data.timestamp
+            ? new Date(data.timestamp)
+            : new Date(this._clock.millis());
+        probe.tip = data.tip;
+        probe.ambient = data.ambient;
+        probe.battery = data.battery === undefined ? null : data.battery;
+
+        if (probe.stale && this._probeAge(probe) <= this._probeStaleTimeout) {
+            probe.stale = false;
+            this.emit("probeFresh", this._probeEventData(probe));
         }
-        this._connectedProbes[data.address].timestamp = data.timestamp;
-        this._connectedProbes[data.address].ambient = data.ambient;
 
-        // call '_setUnits' on unit change
-        // assume all probes will emit the same unit
-        // assume the user will update the setpoint
-        if (data.units !== this._units) {
-            this._setUnits(data.units);
+        this._updatePitTemp();
+    }
+
+    // returns [temperature, sources] for a non-empty array of pit probes
+    _aggregatePitTemp(probes) {
+        const temps = probes.map((probe) => probe.ambient);
+        switch (this._pitTempStrategy) {
+            case PIT_TEMP_STRATEGY.MEDIAN:
+                return [calcMedian(temps), probes];
+            case PIT_TEMP_STRATEGY.MIN: {
+                const probe = probes[temps.indexOf(Math.min(...temps))];
+                return [probe.ambient, [probe]];
+            }
+            case PIT_TEMP_STRATEGY.MAX: {
+                const probe = probes[temps.indexOf(Math.max(...temps))];
+                return [probe.ambient, [probe]];
+            }
+            case PIT_TEMP_STRATEGY.PROBE: {
+                const probe = probes.find(
+                    (probe) =>
+                        probe.address === this._pitTempProbe ||
+                        probe.probeIndex === this._pitTempProbe
+                );
+                return probe ? [probe.ambient, [probe]] : [null, []];
+            }
+            case PIT_TEMP_STRATEGY.WEIGHTED: {
+                const weighted = probes.filter(
+                    (probe) => this.getProbeWeight(probe.address) > 0
+                );
+                if (weighted.length === 0) {
+                    return [null, []];
+                }
+                return [
+                    calcWeightedMean(
+                        weighted.map((probe) => probe.ambient),
+                        weighted.map((probe) =>
+                            this.getProbeWeight(probe.address)
+                        )
+                    ),
+                    weighted,
+                ];
+            }
+            default: {
+                const floor = calcLowerTrimFloor(temps, TEMP_DEV_THRESHOLD);
+                const trimmed = probes.filter(
+                    (probe) => probe.ambient >= floor
+                );
+                return [
+                    calcMean(trimmed.map((probe) => probe.ambient)),
+                    trimmed,
+                ];
+            }
         }
+    }
 
-        this._currentTemp = calcLowerTrimmedMean(
-            this.allAmbientTemps,
-            TEMP_DEV_THRESHOLD
-        );
+    _updatePitTemp() {
+        const probes = this.pitProbes;
+        if (probes.length === 0) {
+            this._currentTemp = null;
+            this._pitTempSources = [];
+            return;
+        }
+        const [temp, sources] = this._aggregatePitTemp(probes);
+        this._currentTemp = temp;
+        this._pitTempSources = sources.map((probe) => probe.address);
     }
 
     // call this if a probe is no longer available/disconnected
     removeProbe(address) {
         delete this._connectedProbes[address];
+        delete this._donePredictors[address];
+        this._updatePitTemp();
+    }
+
+    // begin (or resume) running the control loop
+    start() {
+        if (this._isRunning) {
+            return;
+        }
+        this._isRunning = true;
+        this._lastWorkMillis = 0;
+        this.doWork();
+    }
+
+    // halt the control loop, turning the blower off and closing the damper
+    // outputs remain off until 'start()' is called
+    stop() {
+        this._isRunning = false;
+        this._clock.clearTimeout(this._workTimer);
+        this._workTimer = null;
+        this._clearLidOpen("mode");
+        this._commitOffOutput(true);
+        this._emitStatusReport();
+    }
+
+    _scheduleWork() {
+        if (this._isRunning) {
+            this._workTimer = this._clock.setTimeout(
+                () => this.doWork(),
+                DO_WORK_PERIOD
+            );
+        }
     }
 
     // scheduled at at intervals of at least TEMP_MEASURE_PERIOD / TEMP_OUTADJUST_CNT
     doWork() {
-        const elapsed = millis() - this._lastWorkMillis;
+        const elapsed = this._clock.millis() - this._lastWorkMillis;
         if (this._longPwmRemaining && elapsed > this._longPwmRemaining) {
-            this._emitFanOutput(this._fanMaxSpeed);
+            // end of the long PWM pulse, the fan is off for the rest of the
+            // period (as in HeaterMeter)
+            this._emitFanOutput(0);
             this._longPwmRemaining = 0;
             this._lastBlowerOutput = 0;
         }
@@ -538,45 +2079,38 @@ class PitPID extends EventEmitter {
         }
 
         if (elapsed < TEMP_MEASURE_PERIOD) {
-            setTimeout(() => this.doWork(), DO_WORK_PERIOD);
+            this._scheduleWork();
             return;
         }
 
         this._periodCounter = 1;
-        this._lastWorkMillis = millis();
+        this._lastWorkMillis = this._clock.millis();
         this._tempProbeProcessPeriod();
 
         if (this._pidMode <= PIDMODE.AUTO_LAST) {
+            // update lid mode first so the blower isn't kicked on for a
+            // period when the lid is detected open
+            this._updateLidOpenMode();
+            this._updateOutOfFuel();
             // Always calculate the output
             // calcPidOutput() will bail if it isn't supposed to be in control
             this._calcPidOutput();
-        }
-
-        const tempDiff = this._setPoint - this._currentTemp;
-
-        if (
-            tempDiff <= 0 &&
-            this._lidOpenDuration - this.lidOpenResumeCountdown >=
-                LIDOPEN_MIN_AUTORESUME
-        ) {
-            // When we first achieve temperature, reduce any I sum we accumulated during startup
-            // If we actually neded that sum to achieve temperature we'll rebuild it, and it
-            // prevents bouncing around above the temperature when you first start up
-            if (this._pidMode == PIDMODE.STARTUP) {
-                this._pidCurrent.I *= 0.5;
-            }
-            this._pidMode = PIDMODE.NORMAL;
-            this._lidOpenTimeout = 0;
-        } else if (this.lidOpenResumeCountdown != 0) {
-            this._lidOpenTimeout =
-                this.lidOpenResumeCountdown * 1000 - TEMP_MEASURE_PERIOD;
-        } else if (this._lidModeShouldActivate(tempDiff)) {
-            this._resetLidOpenTimeout();
+        } else if (this._pidMode === PIDMODE.AUTOTUNE) {
+            this._calcAutotuneOutput();
         }
 
         this._commitPidOutput();
-        setTimeout(() => this.doWork(), DO_WORK_PERIOD);
+        this._scheduleWork();
     }
 }
 
-export { PitPID as default, PitPID };
+export {
+    PitPID as default,
+    PitPID,
+    PIDMODE,
+    PROBE_ROLE,
+    PIT_TEMP_STRATEGY,
+    OUTPUT_MODE,
+    DONE_ACTION,
+    AUTOTUNE_RULE,
+};
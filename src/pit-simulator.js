@@ -0,0 +1,256 @@
+/*
+ * Pit Simulator
+ *
+ * A simple thermal model of a charcoal pit for exercising PitPID without
+ * lighting a fire. Models the pit's thermal mass, a fire whose heat output
+ * follows the airflow provided by the blower (fan) and damper (servo) and
+ * consumes a finite amount of fuel, losses to the ambient air (much larger
+ * while the lid is open), and a food load that heats toward the pit
+ * temperature with an evaporative stall.
+ *
+ * Consumes PitPID 'output' events via 'handleOutput()' and emits 'update'
+ * events shaped like MeaterProbe's, one per simulated probe, once per second.
+ * 'connect(pid)' wires both directions.
+ *
+ * Uses a clock with the 'systemClock' interface (see 'utils.js'), so with a
+ * 'SimulatedClock' a long cook runs in seconds. The model is integrated in
+ * degrees Fahrenheit and reported in the configured units.
+ *
+ * Model parameters are arbitrary but produce plausible kettle/kamado-like
+ * behavior: ~20 minute pit time constant, ~90 second fire response, and a
+ * brisket-sized food load that stalls in the 150-170°F range.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import EventEmitter from "eventemitter3";
+import { systemClock, constrain, FAHRENHEIT, CELSIUS } from "./utils.js";
+
+const SIM_UPDATE_PERIOD = 1000; // (ms) matches MeaterProbe's update rate
+
+const SIM_DEFAULTS = {
+    ambientTemp: 70, // °F
+    initialPitTemp: 70, // °F
+    initialFoodTemp: 40, // °F
+    thermalMass: 1200, // pit heat capacity (heat units per °F)
+    ambientLoss: 1, // heat units per second per °F above ambient
+    lidOpenLoss: 10, // additional ambient loss while the lid is open
+    maxFireHeat: 440, // heat units per second at full airflow
+    fireResponse: 90, // (s) time constant of fire heat output
+    leakAirflow: 0.05, // airflow (0-1) with the fan off and damper closed
+    fanAirflow: 0.6, // airflow (0-1) contributed by the fan at 100%
+    damperAirflow: 0.35, // airflow (0-1) contributed by the damper at 100%
+    fuel: 10000000, // total heat units available from the fuel load
+    foodCoupling: 0.000079, // per second, food heating rate per °F difference
+    foodLoad: 0.1, // heat units per second per °F the food draws from the pit
+    stallStart: 140, // °F where evaporative cooling begins
+    stallRange: 20, // °F over which evaporative cooling reaches full strength
+    stallRate: 0.006, // °F per second of full strength evaporative cooling
+    stallCapacity: 54, // °F of evaporative cooling available in total
+    sensorResponse: 15, // (s) time constant of the probes' ambient sensors
+};
+
+// 'probes' entries: { probeIndex, address, inFood }
+// probes not in food report the pit temperature at the tip
+const SIM_DEFAULT_PROBES = [
+    { probeIndex: "1", address: "SIM:00:00:00:00:01", inFood: true },
+];
+
+class PitSimulator extends EventEmitter {
+    constructor(
+        clock = systemClock,
+        options = {},
+        probes = SIM_DEFAULT_PROBES,
+        units = FAHRENHEIT
+    ) {
+        super();
+        this._clock = clock;
+        this._options = { ...SIM_DEFAULTS, ...options };
+        this._probes = probes.map((probe) => ({ ...probe }));
+        this._units = units === CELSIUS ? CELSIUS : FAHRENHEIT;
+
+        this._pitTemp = this._options.initialPitTemp;
+        this._foodTemp = this._options.initialFoodTemp;
+        this._sensorTemp = this._pitTemp;
+        this._fireHeat = 0;
+        this._fuel = this._options.fuel;
+        this._moisture = 1; // fraction of evaporative cooling remaining
+
+        this._fanPct = 0;
+        this._damperPct = 0;
+        this._lidOpenRemaining = 0; // seconds
+        this._lastStepMillis = null;
+        this._timer = null;
+    }
+
+    get pitTemp() {
+        return this._toUnits(this._pitTemp);
+    }
+
+    get foodTemp() {
+        return this._toUnits(this._foodTemp);
+    }
+
+    get fireHeat() {
+        return this._fireHeat;
+    }
+
+    // percent of the initial fuel load remaining
+    get fuelRemaining() {
+        return (this._fuel * 100) / this._options.fuel;
+    }
+
+    get fanPct() {
+        return this._fanPct;
+    }
+
+    get damperPct() {
+        return this._damperPct;
+    }
+
+    get isLidOpen() {
+        return this._lidOpenRemaining > 0;
+    }
+
+    get units() {
+        return this._units;
+    }
+
+    set units(value) {
+        this._units = value === CELSIUS ? CELSIUS : FAHRENHEIT;
+    }
+
+    get airflow() {
+        const opts = this._options;
+        return constrain(
+            opts.leakAirflow +
+                (opts.fanAirflow * this._fanPct) / 100 +
+                (opts.damperAirflow * this._damperPct) / 100,
+            0,
+            1
+        );
+    }
+
+    _toUnits(tempF) {
+        return this._units === CELSIUS ? ((tempF - 32) * 5) / 9 : tempF;
+    }
+
+    // accepts PitPID 'output' event data
+    handleOutput(data) {
+        if (data.type === "fan") {
+            this._fanPct = constrain(data.value, 0, 100);
+        }
+        if (data.type === "servo") {
+            this._damperPct = constrain(data.value, 0, 100);
+        }
+    }
+
+    // open the lid for 'seconds' (or until 'closeLid()')
+    openLid(seconds = Infinity) {
+        this._lidOpenRemaining = seconds;
+    }
+
+    closeLid() {
+        this._lidOpenRemaining = 0;
+    }
+
+    // remove (or add) fuel, e.g. 0 to simulate running out
+    setFuel(pct) {
+        this._fuel = (this._options.fuel * constrain(pct, 0, 100)) / 100;
+    }
+
+    // wire PitPID outputs into the simulator and simulated probes into PitPID
+    connect(pid) {
+        pid.on("output", (data) => this.handleOutput(data));
+        this.on("update", (data) => pid.updateProbe(data));
+    }
+
+    start() {
+        if (this._timer !== null) {
+            return;
+        }
+        this._lastStepMillis = this._clock.millis();
+        this._schedule();
+    }
+
+    stop() {
+        this._clock.clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    _schedule() {
+        this._timer = this._clock.setTimeout(() => {
+            const now = this._clock.millis();
+            this.step((now - this._lastStepMillis) / 1000);
+            this._lastStepMillis = now;
+            this._emitUpdates();
+            this._schedule();
+        }, SIM_UPDATE_PERIOD);
+    }
+
+    // integrate the model forward 'seconds' in one second increments
+    step(seconds) {
+        while (seconds > 0) {
+            const dt = Math.min(1, seconds);
+            this._integrate(dt);
+            seconds -= dt;
+        }
+    }
+
+    _integrate(dt) {
+        const opts = this._options;
+
+        // fire heat output lags the available airflow
+        const targetHeat = this._fuel > 0 ? opts.maxFireHeat * this.airflow : 0;
+        this._fireHeat +=
+            ((targetHeat - this._fireHeat) * dt) / opts.fireResponse;
+        this._fuel = Math.max(0, this._fuel - this._fireHeat * dt);
+
+        let loss = opts.ambientLoss;
+        if (this._lidOpenRemaining > 0) {
+            loss += opts.lidOpenLoss;
+            this._lidOpenRemaining = Math.max(0, this._lidOpenRemaining - dt);
+        }
+
+        const foodDiff = this._pitTemp - this._foodTemp;
+        const pitHeat =
+            this._fireHeat -
+            loss * (this._pitTemp - opts.ambientTemp) -
+            opts.foodLoad * foodDiff;
+        this._pitTemp += (pitHeat * dt) / opts.thermalMass;
+
+        // evaporative cooling ramps in above stallStart until moisture is gone
+        const stallPct = constrain(
+            (this._foodTemp - opts.stallStart) / opts.stallRange,
+            0,
+            1
+        );
+        const evaporation = opts.stallRate * this._moisture * stallPct;
+        this._moisture = Math.max(
+            0,
+            this._moisture - (evaporation * dt) / opts.stallCapacity
+        );
+        this._foodTemp += (opts.foodCoupling * foodDiff - evaporation) * dt;
+
+        this._sensorTemp +=
+            ((this._pitTemp - this._sensorTemp) * dt) / opts.sensorResponse;
+    }
+
+    _emitUpdates() {
+        const timestamp = new Date(this._clock.millis());
+        for (const probe of this._probes) {
+            const ambient = this._toUnits(this._sensorTemp);
+            this.emit("update", {
+                probeIndex: probe.probeIndex,
+                address: probe.address,
+                tip: probe.inFood ? this._toUnits(this._foodTemp) : ambient,
+                ambient: ambient,
+                units: this._units,
+                battery: 100,
+                timestamp: timestamp,
+            });
+        }
+    }
+}
+
+export { PitSimulator as default, PitSimulator, SIM_DEFAULTS };
@@ -0,0 +1,164 @@
+/*
+ * Probe Alarm
+ *
+ * Implements a single high or low temperature alarm with hysteresis. An alarm
+ * must first be "armed" by a temperature on the safe side of its threshold
+ * (plus hysteresis) before it is able to ring, which prevents a pit low alarm
+ * from ringing during startup or a food target alarm from ringing when set
+ * below the current temperature.
+ *
+ * A ringing alarm may be silenced (acknowledged). It will continue to report
+ * as ringing until the temperature returns past its threshold plus hysteresis,
+ * at which point it clears and re-arms automatically.
+ *
+ * Loosely based on HeaterMeter's 'probealarm.cpp'.
+ *
+ * https://github.com/CapnBry/HeaterMeter
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import { convertTemperature, convertTemperatureDelta } from "./utils.js";
+
+const ALARM_TYPE = {
+    LOW: "low", // rings when the temperature falls to or below the threshold
+    HIGH: "high", // rings when the temperature rises to or above the threshold
+};
+
+const ALARM_HYSTERESIS = 2; // degrees
+
+const ALARM_EVENT = {
+    RING: "ring",
+    CLEAR: "clear",
+};
+
+class ProbeAlarm {
+    constructor(type, threshold = null, hysteresis = ALARM_HYSTERESIS) {
+        if (!Object.values(ALARM_TYPE).includes(type)) {
+            throw new Error(`${type}: invalid alarm type.`);
+        }
+        this._type = type;
+        this._threshold = null;
+        this._hysteresis = Math.abs(hysteresis);
+        this._armed = false;
+        this._ringing = false;
+        this._silenced = false;
+        this.threshold = threshold;
+    }
+
+    get type() {
+        return this._type;
+    }
+
+    get threshold() {
+        return this._threshold;
+    }
+
+    // set null to disable the alarm
+    set threshold(value) {
+        this._threshold =
+            value === null || value === undefined || isNaN(value)
+                ? null
+                : value;
+        this.reset();
+    }
+
+    get hysteresis() {
+        return this._hysteresis;
+    }
+
+    set hysteresis(value) {
+        this._hysteresis = Math.abs(value);
+    }
+
+    get enabled() {
+        return this._threshold !== null;
+    }
+
+    get armed() {
+        return this._armed;
+    }
+
+    get ringing() {
+        return this._ringing;
+    }
+
+    get silenced() {
+        return this._silenced;
+    }
+
+    // ringing and not yet acknowledged
+    get active() {
+        return this._ringing && !this._silenced;
+    }
+
+    // convert the threshold and hysteresis without disturbing the alarm state
+    convertUnits(fromUnits, toUnits) {
+        this._threshold = convertTemperature(
+            this._threshold,
+            fromUnits,
+            toUnits
+        );
+        this._hysteresis = convertTemperatureDelta(
+            this._hysteresis,
+            fromUnits,
+            toUnits
+        );
+    }
+
+    reset() {
+        this._armed = false;
+        this._ringing = false;
+        this._silenced = false;
+    }
+
+    // returns true if the alarm was ringing and is now silenced
+    silence() {
+        if (this._ringing && !this._silenced) {
+            this._silenced = true;
+            return true;
+        }
+        return false;
+    }
+
+    // check a new value against the threshold
+    // returns ALARM_EVENT.RING or ALARM_EVENT.CLEAR on a state change, else null
+    update(value) {
+        if (!this.enabled || value === null || isNaN(value)) {
+            if (this._ringing) {
+                this.reset();
+                return ALARM_EVENT.CLEAR;
+            }
+            return null;
+        }
+
+        const isHigh = this._type === ALARM_TYPE.HIGH;
+        const isSafe = isHigh
+            ? value < this._threshold - this._hysteresis
+            : value > this._threshold + this._hysteresis;
+        const isTripped = isHigh
+            ? value >= this._threshold
+            : value <= this._threshold;
+
+        if (isSafe) {
+            this._armed = true;
+            if (this._ringing) {
+                this._ringing = false;
+                this._silenced = false;
+                return ALARM_EVENT.CLEAR;
+            }
+        } else if (isTripped && this._armed && !this._ringing) {
+            this._ringing = true;
+            return ALARM_EVENT.RING;
+        }
+        return null;
+    }
+}
+
+export {
+    ProbeAlarm as default,
+    ProbeAlarm,
+    ALARM_TYPE,
+    ALARM_EVENT,
+    ALARM_HYSTERESIS,
+};
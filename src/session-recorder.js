@@ -0,0 +1,571 @@
+/*
+ * Session Recorder
+ *
+ * Records a cook to disk: PitPID 'status' and 'output' events and MeaterProbe
+ * 'update' events are written as timestamped records, one per line, in JSONL
+ * (one JSON object per line) or CSV format.
+ *
+ * Each session is a directory under 'dir' named by its start time, holding a
+ * 'session.json' summary (start/stop times, format, and the config snapshot
+ * passed to 'start()') and the records split into numbered parts of at most
+ * 'maxFileSize' bytes:
+ *
+ *   sessions/20230812-061502/session.json
+ *   sessions/20230812-061502/part-000.jsonl
+ *   sessions/20230812-061502/part-001.jsonl
+ *
+ * Records have a 'time' (ISO 8601) and a 'type' (one of RECORD_TYPE). The
+ * first record marks the session start and the last marks its stop; a session
+ * without a stop marker ended uncleanly. CSV parts hold a fixed set of columns
+ * (see CSV_COLUMNS) with the remaining data as JSON in the 'data' column.
+ *
+ * Old sessions are deleted, oldest first, to keep at most 'maxSessions'
+ * sessions taking at most 'maxTotalSize' bytes (either may be null for no
+ * limit). This is checked when a session starts and when it opens a new part;
+ * the session being recorded is never deleted.
+ *
+ * A failed write (e.g. a full or read-only disk) ends recording with a warning
+ * rather than throwing into the PitPID event that triggered it.
+ *
+ * 'SessionRecorder.listSessions()' and 'SessionRecorder.openSession()' read
+ * past sessions back.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import fs from "fs";
+import path from "path";
+
+const SESSION_FORMAT = {
+    JSONL: "jsonl",
+    CSV: "csv",
+};
+
+const RECORD_TYPE = {
+    START: "start",
+    STOP: "stop",
+    CONFIG: "config",
+    STATUS: "status",
+    OUTPUT: "output",
+    PROBE: "probe",
+};
+
+const SESSION_DIR = "sessions";
+const SESSION_FILE = "session.json";
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // (bytes) per part
+const MAX_SESSIONS = 30;
+const MAX_TOTAL_SIZE = 500 * 1024 * 1024; // (bytes) of all sessions
+
+// columns common to all CSV records, anything else goes in 'data'
+const CSV_COLUMNS = [
+    "time",
+    "type",
+    "mode",
+    "setPoint",
+    "pitTemp",
+    "pidOutput",
+    "fanPct",
+    "servoPct",
+    "probeIndex",
+    "address",
+    "tip",
+    "ambient",
+    "units",
+    "data",
+];
+
+// CSV columns that are always strings
+const CSV_TEXT_COLUMNS = [
+    "time",
+    "type",
+    "mode",
+    "probeIndex",
+    "address",
+    "units",
+];
+
+// status fields kept in CSV records (probes are recorded by their updates)
+const CSV_STATUS_DATA = ["lidOpen", "hasAlarm", "outOfFuel", "gainSet"];
+
+// quote a CSV field if needed
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// split a CSV line into fields (quoted fields may contain commas and quotes)
+function parseCsvLine(line) {
+    const fields = [];
+    let field = "";
+    let isQuoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (isQuoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                isQuoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            isQuoted = true;
+        } else if (char === ",") {
+            fields.push(field);
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// convert a CSV field back to a number or boolean where possible
+function parseCsvValue(text) {
+    if (text === "true" || text === "false") {
+        return text === "true";
+    }
+    const number = Number(text);
+    return isNaN(number) ? text : number;
+}
+
+function sessionId(millis) {
+    const date = new Date(millis);
+    const pad = (value) => String(value).padStart(2, "0");
+    return (
+        `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+            date.getDate()
+        )}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(
+            date.getSeconds()
+        )}`
+    );
+}
+
+function partName(index, format) {
+    return `part-${String(index).padStart(3, "0")}.${format}`;
+}
+
+// (bytes) total size of the files in a directory
+function dirSize(dir) {
+    let size = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        size += entry.isDirectory()
+            ? dirSize(entryPath)
+            : fs.statSync(entryPath).size;
+    }
+    return size;
+}
+
+class SessionRecorder {
+    constructor(
+        pid,
+        {
+            dir = SESSION_DIR,
+            format = SESSION_FORMAT.JSONL,
+            maxFileSize = MAX_FILE_SIZE,
+            statusInterval = 1, // (s) minimum time between status records
+            maxSessions = MAX_SESSIONS, // null keeps every session
+            maxTotalSize = MAX_TOTAL_SIZE, // (bytes) null for no limit
+        } = {}
+    ) {
+        if (!Object.values(SESSION_FORMAT).includes(format)) {
+            throw new Error(`SessionRecorder: invalid format (${format}).`);
+        }
+        this._pid = pid;
+        this._dir = dir;
+        this._format = format;
+        this._maxFileSize = Math.max(1024, maxFileSize);
+        this._statusInterval = Math.max(0, statusInterval);
+        this._maxSessions =
+            maxSessions === null ? null : Math.max(1, maxSessions);
+        this._maxTotalSize = maxTotalSize === null ? null : maxTotalSize;
+        this._lastStatusMillis = null;
+        this._session = null; // session.json contents while recording
+        this._sessionDir = null;
+        this._partIndex = 0;
+        this._partSize = 0;
+        this._probes = new Map(); // MeaterProbe -> 'update' listener
+
+        this._onStatus = (status) => this._recordStatus(status);
+        this._onOutput = (output) =>
+            this.record(RECORD_TYPE.OUTPUT, {
+                output: output.type, // 'fan' or 'servo'
+                value: output.value,
+            });
+    }
+
+    get isRecording() {
+        return this._session !== null;
+    }
+
+    get format() {
+        return this._format;
+    }
+
+    // id of the session being recorded, null if not recording
+    get sessionId() {
+        return this.isRecording ? this._session.id : null;
+    }
+
+    get sessionDir() {
+        return this._sessionDir;
+    }
+
+    // delete the oldest sessions beyond 'maxSessions' or 'maxTotalSize',
+    // returns the ids of the deleted sessions
+    prune() {
+        const removed = [];
+        try {
+            const sessions = SessionRecorder.listSessions(this._dir).filter(
+                (session) => session.id !== this.sessionId
+            );
+            const sizes = sessions.map((session) =>
+                dirSize(path.join(this._dir, session.id))
+            );
+            let count = sessions.length;
+            let total = sizes.reduce((sum, size) => sum + size, 0);
+            if (this.isRecording) {
+                count++;
+                total += dirSize(this._sessionDir);
+            }
+            for (let i = 0; i < sessions.length; i++) {
+                if (
+                    (this._maxSessions === null ||
+                        count <= this._maxSessions) &&
+                    (this._maxTotalSize === null || total <= this._maxTotalSize)
+                ) {
+                    break;
+                }
+                fs.rmSync(path.join(this._dir, sessions[i].id), {
+                    recursive: true,
+                    force: true,
+                });
+                count--;
+                total -= sizes[i];
+                removed.push(sessions[i].id);
+            }
+        } catch (err) {
+            console.warn(`SessionRecorder: Prune failed (${err.message}).`);
+        }
+        return removed;
+    }
+
+    // begin a new session, 'config' is a snapshot saved with the session
+    start(config = null) {
+        if (this.isRecording) {
+            this.stop("restart");
+        }
+        const now = this._pid.clock.millis();
+
+        // sessions started in the same second get a suffix
+        let id = sessionId(now);
+        for (let i = 1; fs.existsSync(path.join(this._dir, id)); i++) {
+            id = `${sessionId(now)}-${i}`;
+        }
+        this._sessionDir = path.join(this._dir, id);
+        try {
+            fs.mkdirSync(this._sessionDir, { recursive: true });
+        } catch (err) {
+            console.warn(
+                `SessionRecorder: Can't create ${this._sessionDir} (${err.message}), not recording.`
+            );
+            return;
+        }
+
+        this._session = {
+            id: id,
+            format: this._format,
+            startedAt: new Date(now).toISOString(),
+            stoppedAt: null,
+            stopReason: null,
+            parts: 0,
+            config: config,
+        };
+        this._partIndex = 0;
+        this._partSize = 0;
+        this._lastStatusMillis = null;
+        this._openPart();
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.record(RECORD_TYPE.START, { id: id });
+        if (config !== null) {
+            this.record(RECORD_TYPE.CONFIG, { config: config });
+        }
+        this._pid.on("status", this._onStatus);
+        this._pid.on("output", this._onOutput);
+        for (const [probe, listener] of this._probes) {
+            probe.on("update", listener);
+        }
+    }
+
+    // end the session with a stop marker
+    stop(reason = "stopped") {
+        if (!this.isRecording) {
+            return;
+        }
+        this._detach();
+        this.record(RECORD_TYPE.STOP, { reason: reason });
+        if (!this.isRecording) {
+            return;
+        }
+        this._session.stoppedAt = new Date(
+            this._pid.clock.millis()
+        ).toISOString();
+        this._session.stopReason = reason;
+        this._writeSession();
+        this._session = null;
+    }
+
+    _detach() {
+        this._pid.off("status", this._onStatus);
+        this._pid.off("output", this._onOutput);
+        for (const [probe, listener] of this._probes) {
+            probe.off("update", listener);
+        }
+    }
+
+    // end recording after a failed write
+    _fail(err) {
+        console.warn(
+            `SessionRecorder: Write failed (${err.message}), recording stopped.`
+        );
+        this._detach();
+        this._session = null;
+    }
+
+    // record a probe's updates (while recording) until it's removed
+    addProbe(probe) {
+        if (this._probes.has(probe)) {
+            return;
+        }
+        const listener = (data) => this.record(RECORD_TYPE.PROBE, data);
+        this._probes.set(probe, listener);
+        if (this.isRecording) {
+            probe.on("update", listener);
+        }
+    }
+
+    removeProbe(probe) {
+        const listener = this._probes.get(probe);
+        if (listener) {
+            probe.off("update", listener);
+            this._probes.delete(probe);
+        }
+    }
+
+    // record a new config snapshot, e.g. after a setting changes mid-cook
+    snapshotConfig(config) {
+        if (!this.isRecording) {
+            return;
+        }
+        this._session.config = config;
+        this._writeSession();
+        this.record(RECORD_TYPE.CONFIG, { config: config });
+    }
+
+    // append a record (ignored when not recording)
+    record(type, data = {}) {
+        if (!this.isRecording) {
+            return;
+        }
+        const record = {
+            time: new Date(this._pid.clock.millis()).toISOString(),
+            type: type,
+            ...data,
+        };
+        const line =
+            (this._format === SESSION_FORMAT.CSV
+                ? this._toCsvLine(record)
+                : JSON.stringify(record)) + "\n";
+        const size = Buffer.byteLength(line);
+        if (this._partSize > 0 && this._partSize + size > this._maxFileSize) {
+            this._partIndex++;
+            this._openPart();
+            if (!this.isRecording) {
+                return;
+            }
+        }
+        try {
+            fs.appendFileSync(this._partPath(), line);
+            this._partSize += size;
+        } catch (err) {
+            this._fail(err);
+        }
+    }
+
+    _recordStatus(status) {
+        const now = this._pid.clock.millis();
+        if (
+            this._lastStatusMillis !== null &&
+            now - this._lastStatusMillis < this._statusInterval * 1000
+        ) {
+            return;
+        }
+        this._lastStatusMillis = now;
+        this.record(RECORD_TYPE.STATUS, status);
+    }
+
+    _partPath() {
+        return path.join(
+            this._sessionDir,
+            partName(this._partIndex, this._format)
+        );
+    }
+
+    // start a new part (CSV parts each begin with a header)
+    _openPart() {
+        this._partSize = 0;
+        this._session.parts = this._partIndex + 1;
+        this._writeSession();
+        if (!this.isRecording) {
+            return;
+        }
+        if (this._format === SESSION_FORMAT.CSV) {
+            const header = CSV_COLUMNS.join(",") + "\n";
+            try {
+                fs.writeFileSync(this._partPath(), header);
+            } catch (err) {
+                this._fail(err);
+                return;
+            }
+            this._partSize = Buffer.byteLength(header);
+        }
+        this.prune();
+    }
+
+    _writeSession() {
+        try {
+            fs.writeFileSync(
+                path.join(this._sessionDir, SESSION_FILE),
+                JSON.stringify(this._session, null, 2)
+            );
+        } catch (err) {
+            this._fail(err);
+        }
+    }
+
+    _toCsvLine(record) {
+        let data = {};
+        if (record.type === RECORD_TYPE.STATUS) {
+            for (const key of CSV_STATUS_DATA) {
+                data[key] = record[key];
+            }
+        } else {
+            for (const [key, value] of Object.entries(record)) {
+                if (!CSV_COLUMNS.includes(key)) {
+                    data[key] = value;
+                }
+            }
+        }
+        const values = CSV_COLUMNS.map((column) =>
+            column === "data"
+                ? Object.keys(data).length > 0
+                    ? JSON.stringify(data)
+                    : null
+                : record[column]
+        );
+        return values.map(csvField).join(",");
+    }
+
+    // summaries (session.json contents) of the sessions in 'dir', oldest first
+    static listSessions(dir = SESSION_DIR) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        const sessions = [];
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (!entry.isDirectory()) {
+                continue;
+            }
+            try {
+                sessions.push(
+                    JSON.parse(
+                        fs.readFileSync(
+                            path.join(dir, entry.name, SESSION_FILE),
+                            "utf8"
+                        )
+                    )
+                );
+            } catch (err) {
+                // not a session (or an unreadable one)
+            }
+        }
+        return sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    }
+
+    // a session's summary and all of its 'records' in order
+    // CSV records have the CSV_COLUMNS fields with 'data' merged back in
+    static openSession(id, dir = SESSION_DIR) {
+        const sessionDir = path.join(dir, id);
+        let session;
+        try {
+            session = JSON.parse(
+                fs.readFileSync(path.join(sessionDir, SESSION_FILE), "utf8")
+            );
+        } catch (err) {
+            throw new Error(`SessionRecorder: No session ${id} in ${dir}.`);
+        }
+
+        const records = [];
+        for (let i = 0; i < session.parts; i++) {
+            const partPath = path.join(sessionDir, partName(i, session.format));
+            if (!fs.existsSync(partPath)) {
+                continue;
+            }
+            const lines = fs
+                .readFileSync(partPath, "utf8")
+                .split("\n")
+                .filter((line) => line.length > 0);
+            const columns =
+                session.format === SESSION_FORMAT.CSV
+                    ? parseCsvLine(lines.shift() || "")
+                    : null;
+            for (const line of lines) {
+                try {
+                    records.push(
+                        columns === null
+                            ? JSON.parse(line)
+                            : SessionRecorder._fromCsvLine(columns, line)
+                    );
+                } catch (err) {
+                    // a partial last line from an unclean exit
+                }
+            }
+        }
+        return { ...session, records: records };
+    }
+
+    static _fromCsvLine(columns, line) {
+        const fields = parseCsvLine(line);
+        const record = {};
+        columns.forEach((column, index) => {
+            const text = fields[index] || "";
+            if (column === "data") {
+                Object.assign(record, text === "" ? {} : JSON.parse(text));
+            } else if (CSV_TEXT_COLUMNS.includes(column)) {
+                if (text !== "") {
+                    record[column] = text;
+                }
+            } else if (text !== "") {
+                record[column] = parseCsvValue(text);
+            }
+        });
+        return record;
+    }
+}
+
+export {
+    SessionRecorder as default,
+    SessionRecorder,
+    SESSION_FORMAT,
+    RECORD_TYPE,
+};
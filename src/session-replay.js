@@ -0,0 +1,239 @@
+/*
+ * Session Replay
+ *
+ * Replays a recorded cook (see 'session-recorder.js') through a new PitPID
+ * instance to compare tuning changes offline. The recorded probe updates are
+ * fed to 'PitPID.updateProbe()' on a SimulatedClock, as fast as possible or
+ * at 'speed' times real time, and recorded setpoint/mode changes are followed.
+ *
+ * The PitPID is configured from the session's config snapshot with 'overrides'
+ * (same layout as 'config/default.json') merged over it, e.g.
+ * { PID: { P: 3, I: 0.002, D: 5 } }.
+ *
+ * The temperatures are replayed as recorded, so the replayed outputs do not
+ * change them (open loop) and the replayed run can only be compared by its
+ * output. The summary reports the recording's temperature control with
+ * 'calcControlMetrics()' ('recorded'), the mean output of both runs
+ * ('recordedEffort', 'replayedEffort') and how far the replayed output strays
+ * from the recorded output ('outputDiff', mean absolute difference in percent).
+ *
+ * If a PitDisplay is passed, a frame is rendered every 'frameInterval'
+ * (simulated) seconds and saved to 'frameDir' as 'frame-00000.png', etc.
+ *
+ * Emits 'status' with each replayed PitPID status.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import fs from "fs";
+import path from "path";
+import EventEmitter from "eventemitter3";
+import { calcControlMetrics, calcMean, sleep } from "./utils.js";
+import { PitPID, PIDMODE } from "./pit-pid.js";
+import { configurePitPID, ObjectConfig } from "./pit-config.js";
+import { RECORD_TYPE } from "./session-recorder.js";
+import SimulatedClock from "./simulated-clock.js";
+
+const REPLAY_SETTLE_BAND = 5; // degrees
+const REPLAY_STEADY_WINDOW = 30 * 60; // (s)
+
+// merge 'source' into a copy of 'target', objects are merged recursively
+function mergeConfig(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        const isObject = (item) =>
+            item !== null && typeof item === "object" && !Array.isArray(item);
+        result[key] =
+            isObject(value) && isObject(result[key])
+                ? mergeConfig(result[key], value)
+                : value;
+    }
+    return result;
+}
+
+class SessionReplay extends EventEmitter {
+    constructor(
+        session, // from 'SessionRecorder.openSession()'
+        {
+            overrides = {},
+            speed = 0, // multiple of real time, 0 runs as fast as possible
+            display = null, // PitDisplay to render frames with
+            frameDir = null,
+            frameInterval = 60, // (s)
+        } = {}
+    ) {
+        super();
+        this._session = session;
+        this._records = session.records.filter((record) =>
+            Object.values(RECORD_TYPE).includes(record.type)
+        );
+        if (this._records.length === 0) {
+            throw new Error(`SessionReplay: Session ${session.id} is empty.`);
+        }
+        this._config = mergeConfig(session.config || {}, overrides);
+        this._speed = Math.max(0, speed);
+        this._display = display;
+        this._frameDir = frameDir;
+        this._frameInterval = frameInterval;
+    }
+
+    get config() {
+        return this._config;
+    }
+
+    // replay the session, resolves with the summary
+    async run() {
+        const startMillis = Date.parse(this._records[0].time);
+        const clock = new SimulatedClock(startMillis);
+        const pid = new PitPID(clock);
+        configurePitPID(pid, new ObjectConfig(this._config));
+
+        const time = (millis) => (millis - startMillis) / 1000;
+        const recorded = []; // { time, temp, output, setPoint }
+        const replayed = [];
+        let lastFrameTime = null;
+        let frameIndex = 0;
+
+        if (this._display !== null && this._frameDir !== null) {
+            fs.mkdirSync(this._frameDir, { recursive: true });
+        }
+
+        pid.on("status", (status) => {
+            const now = time(clock.millis());
+            replayed.push({
+                time: now,
+                temp: status.pitTemp,
+                output: status.pidOutput,
+                setPoint: status.setPoint,
+            });
+            this.emit("status", status);
+            if (
+                this._display !== null &&
+                (lastFrameTime === null ||
+                    now - lastFrameTime >= this._frameInterval)
+            ) {
+                lastFrameTime = now;
+                this._renderFrame(status, frameIndex++);
+            }
+        });
+
+        let last = null; // most recent recorded status
+        pid.start();
+        for (const record of this._records) {
+            const millis = Date.parse(record.time);
+            const delay = millis - clock.millis();
+            if (delay > 0) {
+                if (this._speed > 0) {
+                    await sleep(delay / this._speed);
+                }
+                clock.advance(delay);
+            }
+
+            if (record.type === RECORD_TYPE.PROBE) {
+                pid.updateProbe({
+                    probeIndex: record.probeIndex,
+                    address: record.address,
+                    tip: record.tip,
+                    ambient: record.ambient,
+                    units: record.units,
+                    battery: record.battery,
+                    timestamp: new Date(clock.millis()),
+                });
+            } else if (record.type === RECORD_TYPE.STATUS) {
+                this._followStatus(pid, last, record);
+                last = record;
+                recorded.push({
+                    time: time(millis),
+                    temp: record.pitTemp,
+                    output: record.pidOutput,
+                    setPoint: record.setPoint,
+                });
+            }
+        }
+        pid.stop();
+
+        return this._summarize(recorded, replayed, last);
+    }
+
+    // apply recorded setpoint and mode changes
+    _followStatus(pid, last, record) {
+        if (
+            last !== null &&
+            last.mode === record.mode &&
+            last.setPoint === record.setPoint
+        ) {
+            return;
+        }
+        if (record.mode === "OFF") {
+            if (!pid.isOff) {
+                pid.pidMode = PIDMODE.OFF;
+            }
+        } else if (record.mode === "MANUAL") {
+            pid.pidOutPut = record.pidOutput;
+        } else if (
+            record.setPoint !== pid.setPoint ||
+            pid.pidMode > PIDMODE.AUTO_LAST
+        ) {
+            // a new setpoint (or leaving OFF/MANUAL) re-enters STARTUP, a
+            // ramp step does not
+            if (record.mode === "STARTUP" || pid.pidMode > PIDMODE.AUTO_LAST) {
+                pid.setPoint = record.setPoint;
+            } else {
+                pid.adjustSetPoint(record.setPoint);
+            }
+        }
+    }
+
+    _renderFrame(status, index) {
+        try {
+            this._display.update(status);
+            if (this._frameDir !== null) {
+                const name = `frame-${String(index).padStart(5, "0")}.png`;
+                this._display.saveFrame(path.join(this._frameDir, name));
+            }
+        } catch (err) {
+            console.warn(`SessionReplay: Frame failed (${err.message}).`);
+        }
+    }
+
+    _summarize(recorded, replayed, last) {
+        const setPoint =
+            last !== null && last.setPoint !== null
+                ? last.setPoint
+                : this._config.setPoint;
+        const effort = (samples) =>
+            samples.length > 0
+                ? calcMean(samples.map((sample) => sample.output || 0))
+                : null;
+
+        // replayed output vs the recorded output at the same second
+        const recordedOutput = new Map(
+            recorded.map((sample) => [Math.round(sample.time), sample.output])
+        );
+        const diffs = replayed
+            .filter((sample) => recordedOutput.has(Math.round(sample.time)))
+            .map((sample) =>
+                Math.abs(
+                    sample.output - recordedOutput.get(Math.round(sample.time))
+                )
+            );
+
+        return {
+            session: this._session.id,
+            duration:
+                replayed.length > 0 ? replayed[replayed.length - 1].time : 0,
+            setPoint: setPoint,
+            recorded: calcControlMetrics(
+                recorded,
+                setPoint,
+                REPLAY_SETTLE_BAND,
+                REPLAY_STEADY_WINDOW
+            ),
+            recordedEffort: effort(recorded),
+            replayedEffort: effort(replayed),
+            outputDiff: diffs.length > 0 ? calcMean(diffs) : null,
+        };
+    }
+}
+
+export { SessionReplay as default, SessionReplay, mergeConfig };
@@ -0,0 +1,76 @@
+/*
+ * Simulated Clock
+ *
+ * A manually advanced clock and timer scheduler with the same interface as
+ * 'systemClock' in 'utils.js' ('millis()', 'setTimeout()', 'clearTimeout()').
+ * Pass one to PitPID (and friends) to run the control loop deterministically,
+ * stepping it period by period or compressing hours of operation into seconds.
+ *
+ * Time only moves when 'advance()' is called. Timers due within the advanced
+ * interval fire in order of their due time (then scheduling order), with the
+ * clock set to each timer's due time as it fires. Timers scheduled by a firing
+ * callback run in the same 'advance()' call if they fall due within it.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+class SimulatedClock {
+    constructor(startMillis = 0) {
+        this._now = startMillis;
+        this._timers = [];
+        this._nextTimerId = 1;
+    }
+
+    millis() {
+        return this._now;
+    }
+
+    setTimeout(callback, ms = 0) {
+        const id = this._nextTimerId++;
+        this._timers.push({
+            id: id,
+            due: this._now + Math.max(0, ms),
+            callback: callback,
+        });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this._timers = this._timers.filter((timer) => timer.id !== id);
+    }
+
+    get pendingTimers() {
+        return this._timers.length;
+    }
+
+    // earliest timer due at or before 'limit', or null
+    _nextDueTimer(limit) {
+        let next = null;
+        for (const timer of this._timers) {
+            if (
+                timer.due <= limit &&
+                (next === null ||
+                    timer.due < next.due ||
+                    (timer.due === next.due && timer.id < next.id))
+            ) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+
+    // move the clock forward 'ms', firing any timers that fall due
+    advance(ms) {
+        const end = this._now + Math.max(0, ms);
+        let timer = this._nextDueTimer(end);
+        while (timer !== null) {
+            this.clearTimeout(timer.id);
+            this._now = timer.due;
+            timer.callback();
+            timer = this._nextDueTimer(end);
+        }
+        this._now = end;
+    }
+}
+
+export { SimulatedClock as default, SimulatedClock };
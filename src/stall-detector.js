@@ -0,0 +1,150 @@
+/*
+ * Stall Detector
+ *
+ * Reports "the stall", the plateau a large cut hits when evaporative cooling
+ * balances the heat input, as events. The stall itself is found by the done
+ * time predictions' stall model (see 'done-predictor.js' and
+ * 'PitPID.stallOptions'), reported per probe in PitPID's 'status', so the
+ * events always agree with the display's ETA.
+ *
+ * Evaluated on each PitPID 'status' event. Probes with the PROBE_ROLE.FOOD
+ * role or a tip target (see 'PitPID.setProbeAlarm()') are watched.
+ *
+ * Emits 'stallStart' and 'stallEnd' (with the stall 'duration' in seconds).
+ * If 'reminderMinutes' is set, emits 'stallReminder' (e.g. "consider
+ * wrapping") once a stall has lasted that long. If a CookProgram is passed as
+ * 'program', the start of a stall advances it to the next stage.
+ *
+ * Temperatures are in the PitPID's units.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import EventEmitter from "eventemitter3";
+import { STALL_DEFAULTS } from "./done-predictor.js";
+import { PROBE_ROLE } from "./pit-pid.js";
+
+class StallDetector extends EventEmitter {
+    constructor(
+        pid,
+        {
+            reminderMinutes = null, // null disables the reminder
+        } = {},
+        program = null
+    ) {
+        super();
+        this._pid = pid;
+        this._reminderMinutes = reminderMinutes;
+        this._program = program;
+        this._isRunning = false;
+        this._probes = {}; // probe address -> { stallStart, reminded }
+        this._onStatus = (status) => this._update(status);
+    }
+
+    // the stall model's options (from PitPID) and 'reminderMinutes'
+    get options() {
+        return {
+            ...this._pid.stallOptions,
+            reminderMinutes: this._reminderMinutes,
+        };
+    }
+
+    get isRunning() {
+        return this._isRunning;
+    }
+
+    // addresses of probes currently stalled
+    get stalledProbes() {
+        return Object.entries(this._probes)
+            .filter(([, state]) => state.stallStart !== null)
+            .map(([address]) => address);
+    }
+
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        this._isRunning = true;
+        this._pid.on("status", this._onStatus);
+    }
+
+    stop() {
+        this._pid.off("status", this._onStatus);
+        this._isRunning = false;
+        this._probes = {};
+    }
+
+    _isWatched(probe) {
+        return (
+            !probe.stale &&
+            (probe.role === PROBE_ROLE.FOOD ||
+                (probe.target !== null && probe.target !== undefined))
+        );
+    }
+
+    _eventData(probe, state, rate, now) {
+        return {
+            address: probe.address,
+            probeIndex: probe.probeIndex,
+            tip: probe.tip,
+            rate: rate, // degrees per hour
+            duration: state.stallStart === null ? 0 : now - state.stallStart,
+            units: this._pid.units,
+        };
+    }
+
+    _update(status) {
+        const now = this._pid.clock.millis() / 1000;
+        const watched = (status.probes || []).filter(
+            (probe) => this._isWatched(probe) && probe.stall
+        );
+
+        // forget probes that are gone (or no longer watched)
+        for (const address of Object.keys(this._probes)) {
+            if (!watched.some((probe) => probe.address === address)) {
+                delete this._probes[address];
+            }
+        }
+
+        for (const probe of watched) {
+            if (!(probe.address in this._probes)) {
+                this._probes[probe.address] = {
+                    stallStart: null,
+                    reminded: false,
+                };
+            }
+            const state = this._probes[probe.address];
+            const stall = probe.stall;
+
+            if (state.stallStart === null) {
+                if (stall.stalled) {
+                    state.stallStart = stall.since;
+                    state.reminded = false;
+                    this.emit(
+                        "stallStart",
+                        this._eventData(probe, state, stall.rate, now)
+                    );
+                    if (this._program !== null) {
+                        this._program.advance();
+                    }
+                }
+            } else if (!stall.stalled) {
+                const data = this._eventData(probe, state, stall.rate, now);
+                state.stallStart = null;
+                this.emit("stallEnd", data);
+            } else if (
+                !state.reminded &&
+                this._reminderMinutes !== null &&
+                now - state.stallStart >= this._reminderMinutes * 60
+            ) {
+                state.reminded = true;
+                this.emit("stallReminder", {
+                    ...this._eventData(probe, state, stall.rate, now),
+                    message: "Consider wrapping",
+                });
+            }
+        }
+    }
+}
+
+export { StallDetector as default, StallDetector, STALL_DEFAULTS };
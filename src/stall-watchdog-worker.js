@@ -0,0 +1,60 @@
+/*
+ * Stall Watchdog Worker
+ *
+ * Worker thread for 'stall-watchdog.js'. Checks the main thread's last feed
+ * every 'poll' ms and, if it's older than 'timeout' ms, carries out the
+ * failsafe commands and flags the watchdog as tripped.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import fs from "fs";
+import { createRequire } from "module";
+import { parentPort, workerData } from "worker_threads";
+import { LAST_FEED, TRIPPED } from "./stall-watchdog.js";
+
+// 'i2c-bus' is only loaded for i2c commands
+const require = createRequire(import.meta.url);
+
+const { state, timeout, poll } = workerData;
+let commands = workerData.commands;
+
+function runCommand(command) {
+    if (command.type === "file") {
+        fs.writeFileSync(command.path, String(command.value));
+    } else if (command.type === "i2c") {
+        const bus = require("i2c-bus").openSync(command.bus);
+        try {
+            for (const [register, value] of command.writes) {
+                bus.writeByteSync(command.address, register, value);
+            }
+        } finally {
+            bus.closeSync();
+        }
+    }
+}
+
+parentPort.on("message", (message) => {
+    if (message.type === "commands") {
+        commands = message.commands;
+    }
+});
+
+setInterval(() => {
+    const lastFeed = Number(Atomics.load(state, LAST_FEED));
+    if (
+        lastFeed === 0 ||
+        Atomics.load(state, TRIPPED) !== 0n ||
+        Date.now() - lastFeed < timeout
+    ) {
+        return;
+    }
+    Atomics.store(state, TRIPPED, 1n);
+    const stalled = (Date.now() - lastFeed) / 1000;
+    try {
+        commands.forEach(runCommand);
+        parentPort.postMessage({ type: "failsafe", stalled: stalled });
+    } catch (err) {
+        parentPort.postMessage({ type: "error", message: err.message });
+    }
+}, poll);
@@ -0,0 +1,98 @@
+/*
+ * Stall Watchdog
+ *
+ * Backs PitAirflow's output watchdog with a worker thread, so the outputs are
+ * driven to their safe state even while the main event loop is stalled (a
+ * timer on the main thread can't fire until the stall is over).
+ *
+ * The main thread calls 'feed()' and the worker (see
+ * 'stall-watchdog-worker.js') checks the time of the last feed through shared
+ * memory. If it's older than 'timeout' seconds (real time, not PitAirflow's
+ * clock), the worker carries out the failsafe 'commands' itself and sets a
+ * flag the main thread can read at once with 'isTripped', then posts a
+ * message that is emitted as 'failsafe' when the main thread resumes.
+ *
+ * Commands are plain objects so they can be passed to the worker, built by the
+ * output driver's 'failsafeCommands()':
+ *
+ *   { type: "file", path, value }             write a (sysfs) file
+ *   { type: "i2c", bus, address, writes }     write [register, value] pairs
+ *
+ * Feeding stops while paused ('pause()'), and a tripped watchdog stays tripped
+ * until 'rearm()'. The worker doesn't keep the process alive.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import { Worker } from "worker_threads";
+import EventEmitter from "eventemitter3";
+
+// shared state (BigInt64Array) indices
+const LAST_FEED = 0; // (ms since epoch) 0 while paused
+const TRIPPED = 1;
+
+const STALL_POLL_MAX = 1000; // (ms) longest time between worker checks
+
+class StallWatchdog extends EventEmitter {
+    constructor(timeout, commands = []) {
+        super();
+        this._timeout = timeout;
+        this._state = new BigInt64Array(
+            new SharedArrayBuffer(2 * BigInt64Array.BYTES_PER_ELEMENT)
+        );
+        this._worker = new Worker(
+            new URL("./stall-watchdog-worker.js", import.meta.url),
+            {
+                workerData: {
+                    state: this._state,
+                    timeout: timeout * 1000,
+                    poll: Math.min(STALL_POLL_MAX, timeout * 250),
+                    commands: commands,
+                },
+            }
+        );
+        this._worker.unref();
+        this._worker.on("message", (message) => {
+            if (message.type === "failsafe") {
+                this.emit("failsafe", message);
+            } else if (message.type === "error") {
+                this.emit("error", new Error(message.message));
+            }
+        });
+        this._worker.on("error", (err) => this.emit("error", err));
+    }
+
+    get timeout() {
+        return this._timeout;
+    }
+
+    get isTripped() {
+        return Atomics.load(this._state, TRIPPED) !== 0n;
+    }
+
+    feed() {
+        Atomics.store(this._state, LAST_FEED, BigInt(Date.now()));
+    }
+
+    pause() {
+        Atomics.store(this._state, LAST_FEED, 0n);
+    }
+
+    rearm() {
+        this.pause();
+        Atomics.store(this._state, TRIPPED, 0n);
+    }
+
+    // replace the failsafe commands (e.g. after a damper setting changes)
+    setCommands(commands) {
+        this._worker.postMessage({ type: "commands", commands: commands });
+    }
+
+    stop() {
+        this.pause();
+        this._worker.removeAllListeners();
+        this._worker.terminate();
+    }
+}
+
+export { StallWatchdog as default, StallWatchdog, LAST_FEED, TRIPPED };
@@ -0,0 +1,229 @@
+/*
+ * Sysfs PWM Driver
+ *
+ * Drives the blower and damper from the Linux kernel's PWM interface
+ * ('/sys/class/pwm'), e.g. the Raspberry Pi's hardware PWM enabled with
+ * 'dtoverlay=pwm-2chan'. Implements the same output driver interface as
+ * 'pca9685-driver.js' ('setMotorSpeed()', 'setServoPosition()',
+ * 'setServoOff()' and an 'initialized' event) so it can be used by PitAirflow.
+ *
+ * Motor and servo indices are mapped to channels of a single PWM chip with
+ * 'motorChannels' and 'servoChannels'. Channels are exported if needed, then
+ * given a period ('motorFrequency' for motors, 50Hz for servos), a duty cycle
+ * of 0, and enabled. A plain PWM channel has no direction control, so motor
+ * 'reverse' is ignored.
+ *
+ * 'close()' zeroes and disables the driver's channels (they are left exported).
+ *
+ * 'failsafeCommands()' describes the attribute writes that turn a motor off and
+ * hold a servo position, for PitAirflow's stall watchdog to carry out from a
+ * worker thread (see 'stall-watchdog.js').
+ *
+ * 'root' may point at a directory other than '/sys/class/pwm' for testing.
+ * It must hold a 'pwmchipN' directory; channel directories and attribute files
+ * are created there as they're written.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import fs from "fs";
+import path from "path";
+import EventEmitter from "eventemitter3";
+
+const SYSFS_PWM_ROOT = "/sys/class/pwm";
+
+const DUTY_CYCLE_MIN = 0;
+const DUTY_CYCLE_MAX = 4095; // motor speeds use the PCA9685's 12 bit range
+
+const SERVO_PERIOD = 20000000; // (ns) 50Hz
+const EXPORT_TIMEOUT = 1000; // (ms) wait for udev to make exported channels writable
+const EXPORT_POLL = 50; // (ms)
+
+class SysfsPwmDriver extends EventEmitter {
+    constructor({
+        root = SYSFS_PWM_ROOT,
+        chip = 0,
+        motorChannels = { 1: 0 }, // motor index -> channel
+        servoChannels = { 3: 1 }, // servo index -> channel
+        motorFrequency = 25000, // (Hz) PC fans expect 25kHz
+    } = {}) {
+        super();
+        this.initialized = false;
+        this._closed = false;
+        this._chipPath = path.join(root, `pwmchip${chip}`);
+        this._motorChannels = { ...motorChannels };
+        this._servoChannels = { ...servoChannels };
+        this._motorPeriod = Math.round(1e9 / motorFrequency);
+        this._initialize();
+    }
+
+    _channelPath(channel, attribute = "") {
+        return path.join(this._chipPath, `pwm${channel}`, attribute);
+    }
+
+    _write(channel, attribute, value) {
+        fs.writeFileSync(this._channelPath(channel, attribute), String(value));
+    }
+
+    _periodOf(channel) {
+        return Object.values(this._servoChannels).includes(channel)
+            ? SERVO_PERIOD
+            : this._motorPeriod;
+    }
+
+    _channels() {
+        return [
+            ...new Set([
+                ...Object.values(this._motorChannels),
+                ...Object.values(this._servoChannels),
+            ]),
+        ];
+    }
+
+    async _initialize() {
+        try {
+            for (const channel of this._channels()) {
+                await this._exportChannel(channel);
+                if (this._closed) {
+                    return;
+                }
+                this._write(channel, "enable", 0);
+                this._write(channel, "duty_cycle", 0);
+                this._write(channel, "period", this._periodOf(channel));
+                this._write(channel, "enable", 1);
+            }
+        } catch (err) {
+            this.emit("error", err);
+            return;
+        }
+        if (this._closed) {
+            return;
+        }
+        this.initialized = true;
+        this.emit("initialized");
+    }
+
+    close() {
+        this._closed = true;
+        this.initialized = false;
+        for (const channel of this._channels()) {
+            if (fs.existsSync(this._channelPath(channel))) {
+                this._write(channel, "duty_cycle", 0);
+                this._write(channel, "enable", 0);
+            }
+        }
+    }
+
+    async _exportChannel(channel) {
+        if (!fs.existsSync(this._channelPath(channel))) {
+            fs.writeFileSync(path.join(this._chipPath, "export"), `${channel}`);
+        }
+        if (!fs.existsSync(this._channelPath(channel))) {
+            // the kernel creates exported channels immediately, so this isn't
+            // sysfs (e.g. a test directory)
+            fs.mkdirSync(this._channelPath(channel));
+        }
+        // udev may take a moment to make exported attributes writable
+        const deadline = Date.now() + EXPORT_TIMEOUT;
+        while (!this._isWritable(channel) && Date.now() < deadline) {
+            await new Promise((resolve) => setTimeout(resolve, EXPORT_POLL));
+        }
+    }
+
+    _isWritable(channel) {
+        const periodPath = this._channelPath(channel, "period");
+        try {
+            fs.accessSync(periodPath, fs.constants.W_OK);
+            return true;
+        } catch (err) {
+            return err.code === "ENOENT";
+        }
+    }
+
+    _lookupChannel(map, index, kind) {
+        if (!(index in map)) {
+            throw new Error(`${index}: no PWM channel for ${kind} index.`);
+        }
+        return map[index];
+    }
+
+    _checkInitialized() {
+        if (!this.initialized) {
+            throw new Error("Sysfs PWM not initialized.");
+        }
+    }
+
+    // 'speed' is a 12 bit duty cycle (0-4095) as with the PCA9685
+    setMotorSpeed(motorIndex, speed, reverse = false) {
+        this._checkInitialized();
+        const channel = this._lookupChannel(
+            this._motorChannels,
+            motorIndex,
+            "motor"
+        );
+        speed = Math.min(DUTY_CYCLE_MAX, Math.max(DUTY_CYCLE_MIN, speed));
+        this._write(
+            channel,
+            "duty_cycle",
+            Math.round((this._motorPeriod * speed) / DUTY_CYCLE_MAX)
+        );
+    }
+
+    // 'pulseWidth' in µs
+    setServoPosition(servoIndex, pulseWidth) {
+        this._checkInitialized();
+        const channel = this._lookupChannel(
+            this._servoChannels,
+            servoIndex,
+            "servo"
+        );
+        const dutyCycle = Math.round(pulseWidth * 1000);
+        this._write(
+            channel,
+            "duty_cycle",
+            Math.min(SERVO_PERIOD, Math.max(0, dutyCycle))
+        );
+    }
+
+    // stall watchdog commands for motor off and the servo at 'pulseWidth' (µs)
+    failsafeCommands(motorIndex, servoIndex, pulseWidth) {
+        const motorChannel = this._lookupChannel(
+            this._motorChannels,
+            motorIndex,
+            "motor"
+        );
+        const servoChannel = this._lookupChannel(
+            this._servoChannels,
+            servoIndex,
+            "servo"
+        );
+        return [
+            {
+                type: "file",
+                path: this._channelPath(motorChannel, "duty_cycle"),
+                value: 0,
+            },
+            {
+                type: "file",
+                path: this._channelPath(servoChannel, "duty_cycle"),
+                value: Math.min(
+                    SERVO_PERIOD,
+                    Math.max(0, Math.round(pulseWidth * 1000))
+                ),
+            },
+        ];
+    }
+
+    // a duty cycle of 0 stops the pulses, the servo stops holding its position
+    setServoOff(servoIndex) {
+        this._checkInitialized();
+        const channel = this._lookupChannel(
+            this._servoChannels,
+            servoIndex,
+            "servo"
+        );
+        this._write(channel, "duty_cycle", 0);
+    }
+}
+
+export { SysfsPwmDriver as default, SysfsPwmDriver };
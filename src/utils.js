@@ -31,6 +31,29 @@ export function millis() {
     return now.getTime();
 }
 
+// default clock/timer scheduler (see 'SimulatedClock' for a manual one)
+export const systemClock = {
+    millis: millis,
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (id) => clearTimeout(id),
+};
+
+// convert a temperature between FAHRENHEIT and CELSIUS (null passes through)
+export function convertTemperature(value, fromUnits, toUnits) {
+    if (value === null || value === undefined || fromUnits === toUnits) {
+        return value;
+    }
+    return toUnits === CELSIUS ? ((value - 32) * 5) / 9 : (value * 9) / 5 + 32;
+}
+
+// convert a temperature difference (e.g. hysteresis) between units
+export function convertTemperatureDelta(value, fromUnits, toUnits) {
+    if (value === null || value === undefined || fromUnits === toUnits) {
+        return value;
+    }
+    return toUnits === CELSIUS ? (value * 5) / 9 : (value * 9) / 5;
+}
+
 export function removeItem(arr, item) {
     return arr.filter((value) => value !== item);
 }
@@ -64,25 +87,104 @@ export function calcExpMovingAverage(smooth, currAverage, newValue) {
     return currAverage + weightedDelta;
 }
 
-// weighted average, ignoring low outliers (like newly introduced probes)
-export function calcLowerTrimmedMean(arr, deviationThreshold) {
-    const sorted = arr.sort();
+export function calcMean(arr) {
+    return arr.reduce((sum, value) => sum + value, 0) / arr.length;
+}
+
+export function calcMedian(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+        ? sorted[mid]
+        : (sorted[mid - 1] + sorted[mid]) / 2;
+}
 
-    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+// 'weights' is an array of the same length as 'arr'
+export function calcWeightedMean(arr, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    return (
+        arr.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight
+    );
+}
+
+// lowest value retained by 'calcLowerTrimmedMean'
+export function calcLowerTrimFloor(arr, deviationThreshold) {
+    const mean = calcMean(arr);
     const deviation = Math.sqrt(
-        sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) /
-            sorted.length
+        arr.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) /
+            arr.length
     );
+    return mean - deviationThreshold * deviation;
+}
+
+// weighted average, ignoring low outliers (like newly introduced probes)
+export function calcLowerTrimmedMean(arr, deviationThreshold) {
+    const floor = calcLowerTrimFloor(arr, deviationThreshold);
+    const trimmedValues = arr.filter((value) => value >= floor);
+    return calcMean(trimmedValues);
+}
 
-    const trimmedValues = sorted.filter(
-        (value) => value >= mean - deviationThreshold * deviation
+// least squares slope of 'ys' with respect to 'xs' (null if undefined)
+export function calcLinearSlope(xs, ys) {
+    const meanX = calcMean(xs);
+    const meanY = calcMean(ys);
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < xs.length; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        variance += Math.pow(xs[i] - meanX, 2);
+    }
+    return variance > 0 ? covariance / variance : null;
+}
+
+// control loop performance for an array of { time (s), temp, output } samples
+//   overshoot: max degrees above the setpoint once it has been reached
+//   settlingTime: time (s) after which temp remains within 'band' of setpoint
+//   steadyStateError: mean absolute error over the final 'window' seconds
+//   meanAbsError: mean absolute error over all samples
+//   effort: mean output (percent)
+export function calcControlMetrics(samples, setPoint, band = 5, window = 1800) {
+    const valid = samples.filter(
+        (sample) => sample.temp !== null && !isNaN(sample.temp)
     );
+    if (valid.length === 0) {
+        return null;
+    }
+    const startTime = valid[0].time;
+    const endTime = valid[valid.length - 1].time;
+
+    const reached = valid.findIndex((sample) => sample.temp >= setPoint);
+    // reduced rather than spread into Math.max(), a long cook has too many
+    // samples for one call
+    const overshoot =
+        reached < 0
+            ? 0
+            : valid
+                  .slice(reached)
+                  .reduce(
+                      (max, sample) => Math.max(max, sample.temp - setPoint),
+                      0
+                  );
+
+    let settlingTime = 0;
+    for (let i = valid.length - 1; i >= 0; i--) {
+        if (Math.abs(valid[i].temp - setPoint) > band) {
+            settlingTime =
+                i === valid.length - 1 ? null : valid[i + 1].time - startTime;
+            break;
+        }
+    }
 
-    const trimmedMean =
-        trimmedValues.reduce((sum, value) => sum + value, 0) /
-        trimmedValues.length;
+    const steady = valid.filter((sample) => sample.time >= endTime - window);
+    const absError = (sample) => Math.abs(sample.temp - setPoint);
 
-    return trimmedMean;
+    return {
+        overshoot: overshoot,
+        settlingTime: settlingTime,
+        steadyStateError: calcMean(steady.map(absError)),
+        meanAbsError: calcMean(valid.map(absError)),
+        effort: calcMean(valid.map((sample) => sample.output || 0)),
+    };
 }
 
 // there are almost always better ways to do things than 'sleep'
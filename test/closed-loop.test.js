@@ -0,0 +1,41 @@
+/*
+ * Closed-loop tests: the checks of 'examples/closed-loop-test.js' with the
+ * repository's config.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ConfigUtil } from "../src/utils.js";
+import {
+    runClosedLoop,
+    closedLoopSetPoints,
+    MAX_OVERSHOOT,
+    MAX_SETTLING_TIME,
+    MAX_STEADY_STATE_ERROR,
+} from "../examples/closed-loop-test.js";
+
+describe("closed loop", () => {
+    const config = new ConfigUtil();
+
+    for (const setPoint of closedLoopSetPoints(config)) {
+        it(`holds a setpoint of ${setPoint}`, () => {
+            const metrics = runClosedLoop(config, setPoint);
+            assert.ok(
+                metrics.overshoot <= MAX_OVERSHOOT,
+                `overshoot ${metrics.overshoot}`
+            );
+            assert.notEqual(metrics.settlingTime, null, "never settled");
+            assert.ok(
+                metrics.settlingTime <= MAX_SETTLING_TIME,
+                `settling time ${metrics.settlingTime}s`
+            );
+            assert.notEqual(metrics.steadyStateError, null);
+            assert.ok(
+                metrics.steadyStateError <= MAX_STEADY_STATE_ERROR,
+                `steady-state error ${metrics.steadyStateError}`
+            );
+        });
+    }
+});
@@ -0,0 +1,112 @@
+/*
+ * PCA9685 driver tests, run against the simulated bus in 'i2c-bus-sim.js'.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { I2cBusSim } from "../src/i2c-bus-sim.js";
+import { PCA9685 } from "../src/pca9685-driver.js";
+
+const ADDRESS = 0x7f;
+
+function createDriver(bus) {
+    const pwm = new PCA9685(ADDRESS, bus, 50);
+    return new Promise((resolve) =>
+        pwm.once("initialized", () => resolve(pwm))
+    );
+}
+
+// the LEDn register writes of a channel's PWM command
+function pwmWrites(channel, on, off) {
+    const base = 0x06 + 4 * channel;
+    return [
+        { address: ADDRESS, register: base, value: on & 0xff },
+        { address: ADDRESS, register: base + 1, value: on >> 8 },
+        { address: ADDRESS, register: base + 2, value: off & 0xff },
+        { address: ADDRESS, register: base + 3, value: off >> 8 },
+    ];
+}
+
+describe("PCA9685", () => {
+    let bus;
+    let pwm;
+
+    beforeEach(async () => {
+        bus = new I2cBusSim({ devices: [ADDRESS] });
+        pwm = await createDriver(bus);
+        bus.clearWrites();
+    });
+
+    it("wakes up with a 50Hz PWM frequency", () => {
+        assert.equal(bus.isSleeping(ADDRESS), false);
+        assert.ok(Math.abs(bus.getFrequency(ADDRESS) - 50) < 0.1);
+    });
+
+    it("refuses commands until initialized", () => {
+        const uninitialized = new PCA9685(ADDRESS, bus, 50);
+        assert.throws(
+            () => uninitialized.setMotorSpeed(1, 2048),
+            /not initialized/
+        );
+    });
+
+    it("sets the motor speed and direction pins", () => {
+        pwm.setMotorSpeed(1, 2048);
+        assert.deepEqual(bus.writes, [
+            ...pwmWrites(0, 0, 2048), // PWM1
+            ...pwmWrites(2, 0, 0), // INA1
+            ...pwmWrites(1, 0, 4095), // INA2
+        ]);
+        assert.equal(bus.getChannel(ADDRESS, 0).dutyCycle, 2048);
+    });
+
+    it("swaps the direction pins in reverse", () => {
+        pwm.setMotorSpeed(2, 1000, true);
+        assert.deepEqual(bus.writes, [
+            ...pwmWrites(5, 0, 1000), // PWM2
+            ...pwmWrites(3, 0, 4095), // INB1
+            ...pwmWrites(4, 0, 0), // INB2
+        ]);
+    });
+
+    it("clamps the motor speed", () => {
+        pwm.setMotorSpeed(1, 5000);
+        assert.equal(bus.getChannel(ADDRESS, 0).dutyCycle, 4095);
+        pwm.setMotorSpeed(1, -10);
+        assert.equal(bus.getChannel(ADDRESS, 0).dutyCycle, 0);
+    });
+
+    it("sets the servo pulse width", () => {
+        pwm.setServoPosition(3, 1500);
+        const dutyCycle = Math.floor((1500 * 4096) / 20000);
+        assert.deepEqual(bus.writes, pwmWrites(6, 0, dutyCycle));
+        const channel = bus.getChannel(ADDRESS, 6);
+        assert.equal(channel.fullOff, false);
+        assert.ok(Math.abs(channel.pulseWidth - 1500) < 10);
+    });
+
+    it("turns the servo pulses fully off", () => {
+        pwm.setServoPosition(4, 1500);
+        bus.clearWrites();
+        pwm.setServoOff(4);
+        assert.deepEqual(bus.writes, pwmWrites(7, 0, 0x1000));
+        const channel = bus.getChannel(ADDRESS, 7);
+        assert.equal(channel.fullOff, true);
+        assert.equal(channel.pulseWidth, 0);
+    });
+
+    it("rejects invalid motor and servo indices", () => {
+        assert.throws(
+            () => pwm.setMotorSpeed(3, 100),
+            /invalid DC motor index/
+        );
+        assert.throws(
+            () => pwm.setServoPosition(2, 1500),
+            /invalid servo index/
+        );
+        assert.throws(() => pwm.setServoOff(9), /invalid servo index/);
+        assert.deepEqual(bus.writes, []);
+    });
+});
@@ -0,0 +1,233 @@
+/*
+ * PitAirflow tests, run with the mock output driver.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import { describe, it, mock } from "node:test";
+import { PitAirflow, DRIVER_TYPE } from "../src/pit-airflow.js";
+import { MockPwmDriver } from "../src/mock-pwm-driver.js";
+import SimulatedClock from "../src/simulated-clock.js";
+
+function createAirflow() {
+    const pit = new PitAirflow(1, false, 3, false, 0x7f, 1, DRIVER_TYPE.MOCK);
+    return new Promise((resolve) =>
+        pit.once("initialized", () => resolve(pit))
+    );
+}
+
+describe("PitAirflow", () => {
+    it("records mock commands with its clock", async () => {
+        const pit = await createAirflow();
+        const clock = new SimulatedClock(5000);
+        pit.clock = clock;
+        pit.setFanSpeed(50);
+        clock.advance(1000);
+        pit.setDamperPosition(25);
+        assert.equal(pit.driver.lastCommand("motor").time, 5000);
+        assert.equal(pit.driver.lastCommand("servo").time, 6000);
+    });
+
+    describe("damper slew", () => {
+        // an airflow with the damper closed and a 60°/s slew rate
+        async function createSlewing(acceleration = null) {
+            const pit = await createAirflow();
+            const clock = new SimulatedClock();
+            pit.clock = clock;
+            pit.setDamperPosition(0);
+            pit.damperSlewRate = 60;
+            pit.damperAcceleration = acceleration;
+            const settled = [];
+            pit.on("settled", () => settled.push(clock.millis()));
+            return { pit, clock, settled };
+        }
+
+        it("takes the servo travel over the slew rate to move", async () => {
+            const { pit, clock, settled } = await createSlewing();
+            pit.setDamperPosition(100);
+            clock.advance(1500);
+            assert.ok(Math.abs(pit.getDamperPosition() - 50) < 2);
+            clock.advance(5000);
+            assert.equal(pit.getDamperPosition(), 100);
+            assert.equal(settled.length, 1);
+            // 180° at 60°/s
+            assert.ok(Math.abs(settled[0] - 3000) <= 40);
+        });
+
+        it("takes longer to ease in and out", async () => {
+            const { pit, clock, settled } = await createSlewing(120);
+            pit.setDamperPosition(100);
+            clock.advance(10 * 1000);
+            assert.equal(pit.getDamperPosition(), 100);
+            assert.equal(settled.length, 1);
+            assert.ok(settled[0] > 3000);
+        });
+
+        it("settles on a target changed mid-move", async () => {
+            const { pit, clock, settled } = await createSlewing(120);
+            pit.setDamperPosition(100);
+            clock.advance(1500);
+            const position = pit.getDamperPosition();
+            assert.ok(position > 0 && position < 100);
+            pit.setDamperPosition(30);
+            clock.advance(10 * 1000);
+            assert.equal(pit.getDamperPosition(), 30);
+            assert.equal(pit.getDamperTarget(), 30);
+            assert.equal(settled.length, 1);
+        });
+    });
+
+    describe("damper de-energizing", () => {
+        // an airflow with the damper at 50% and a 2s settle time
+        async function createSettling(refreshInterval = null) {
+            const pit = await createAirflow();
+            const clock = new SimulatedClock();
+            pit.clock = clock;
+            pit.damperSettleTime = 2;
+            pit.damperRefreshInterval = refreshInterval;
+            const deenergized = [];
+            pit.on("deenergized", () => deenergized.push(clock.millis()));
+            pit.setDamperPosition(50);
+            return { pit, clock, deenergized };
+        }
+
+        it("turns the servo off once settled", async () => {
+            const { pit, clock, deenergized } = await createSettling();
+            clock.advance(1900);
+            assert.equal(pit.isDamperEnergized, true);
+            clock.advance(200);
+            assert.equal(pit.isDamperEnergized, false);
+            assert.deepEqual(deenergized, [2000]);
+            assert.equal(pit.driver.lastCommand("servo").value, 0);
+
+            // the same position doesn't wake it, a new one does
+            pit.setDamperPosition(50);
+            assert.equal(pit.isDamperEnergized, false);
+            pit.setDamperPosition(60);
+            assert.equal(pit.isDamperEnergized, true);
+        });
+
+        it("refreshes the position periodically", async () => {
+            const { pit, clock, deenergized } = await createSettling(300);
+            clock.advance(2000);
+            pit.driver.clear();
+            clock.advance(300 * 1000);
+            assert.equal(pit.isDamperEnergized, true);
+            assert.ok(pit.driver.lastCommand("servo").value > 0);
+            clock.advance(2000);
+            assert.equal(pit.isDamperEnergized, false);
+            assert.deepEqual(deenergized, [2000, 304000]);
+        });
+
+        it("keeps a held servo energized", async () => {
+            const { pit, clock, deenergized } = await createSettling();
+            pit.setServoHold(3, true);
+            clock.advance(60 * 1000);
+            assert.equal(pit.isDamperEnergized, true);
+            assert.deepEqual(deenergized, []);
+
+            pit.setServoHold(3, false);
+            clock.advance(2000);
+            assert.equal(pit.isDamperEnergized, false);
+        });
+    });
+
+    describe("watchdog", () => {
+        // an airflow with a 10s watchdog and a 2s damper settle time
+        async function createWatched() {
+            const pit = await createAirflow();
+            const clock = new SimulatedClock(1000);
+            pit.clock = clock;
+            pit.damperSettleTime = 2;
+            pit.failsafeDamperPosition = 25;
+            pit.watchdogTimeout = 10;
+            return { pit, clock };
+        }
+
+        it("trips after the timeout without commands", async () => {
+            const { pit, clock } = await createWatched();
+            const failsafes = [];
+            pit.on("failsafe", (data) => failsafes.push(data));
+            pit.setFanSpeed(60);
+            pit.setDamperPosition(80);
+            clock.advance(9000);
+            pit.feedWatchdog();
+            clock.advance(9000);
+            assert.equal(pit.isFailsafe, false);
+
+            clock.advance(1000);
+            assert.equal(pit.isFailsafe, true);
+            assert.equal(failsafes.length, 1);
+            assert.equal(pit.failsafeState.time, 20000);
+            assert.equal(pit.driver.lastCommand("motor").value, 0);
+            assert.equal(pit.getDamperPosition(), 25);
+        });
+
+        it("keeps the damper energized at the failsafe position", async () => {
+            const { pit, clock } = await createWatched();
+            const deenergized = [];
+            pit.on("deenergized", (data) => deenergized.push(data));
+            pit.setDamperPosition(80);
+            pit.failsafe("test");
+            clock.advance(60 * 1000);
+            assert.deepEqual(deenergized, []);
+            assert.equal(pit.isDamperEnergized, true);
+            assert.notEqual(pit.driver.lastCommand("servo").value, 0);
+        });
+
+        it("refuses commands until re-armed", async () => {
+            const { pit, clock } = await createWatched();
+            const warn = mock.method(console, "warn", () => {});
+            pit.failsafe("test");
+            pit.setFanSpeed(60);
+            pit.setDamperPosition(80);
+            warn.mock.restore();
+            assert.equal(warn.mock.callCount(), 1);
+            assert.equal(pit.driver.lastCommand("motor").value, 0);
+            assert.equal(pit.getDamperPosition(), 25);
+
+            const rearmed = [];
+            pit.on("rearmed", (data) => rearmed.push(data));
+            pit.rearm();
+            assert.deepEqual(rearmed, [{ reason: "test" }]);
+            pit.setFanSpeed(60);
+            pit.setDamperPosition(80);
+            assert.ok(pit.driver.lastCommand("motor").value > 0);
+            assert.equal(pit.getDamperPosition(), 80);
+
+            // and the watchdog is running again
+            clock.advance(10 * 1000);
+            assert.equal(pit.isFailsafe, true);
+        });
+    });
+
+    it("turns the old driver off when the driver changes", async () => {
+        const pit = await createAirflow();
+        pit.setFanSpeed(50);
+        pit.setDamperPosition(25);
+        const oldDriver = pit.driver;
+        oldDriver.clear();
+
+        pit.driverOptions = { maxCommands: 100 };
+        assert.notEqual(pit.driver, oldDriver);
+        assert.equal(oldDriver.closed, true);
+        assert.deepEqual(
+            oldDriver.commands.map(({ type, index, value }) => ({
+                type,
+                index,
+                value,
+            })),
+            [
+                { type: "motor", index: 1, value: 0 },
+                { type: "servo", index: 3, value: 0 },
+            ]
+        );
+
+        // the new driver is sent the damper position again
+        await new Promise((resolve) => pit.once("initialized", resolve));
+        pit.setDamperPosition(25);
+        assert.notEqual(pit.driver.lastCommand("servo"), null);
+        assert.ok(pit.driver instanceof MockPwmDriver);
+    });
+});
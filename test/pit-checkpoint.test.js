@@ -0,0 +1,90 @@
+/*
+ * PitCheckpoint tests, saving and restoring a PitPID on a SimulatedClock.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { PitPID, DONE_ACTION } from "../src/pit-pid.js";
+import PitCheckpoint from "../src/pit-checkpoint.js";
+import SimulatedClock from "../src/simulated-clock.js";
+import { FAHRENHEIT } from "../src/utils.js";
+
+const PROBE = "AA:BB:CC:DD:EE:01";
+
+// a PitPID holding 225°F with a brisket probe that holds at 170°F when done
+function createPid(clock) {
+    const pid = new PitPID(clock);
+    pid.units = FAHRENHEIT;
+    pid.setPoint = 225;
+    pid.setProbeAlarm(PROBE, 203);
+    pid.setProbeDoneAction(PROBE, {
+        action: DONE_ACTION.HOLD,
+        holdTemp: 170,
+    });
+    pid.start();
+    return pid;
+}
+
+// report the probe every second for 'seconds'
+function runProbe(pid, clock, tip, seconds) {
+    for (let i = 0; i < seconds; i++) {
+        pid.updateProbe({
+            probeIndex: "1",
+            address: PROBE,
+            tip: tip,
+            ambient: 225,
+            units: FAHRENHEIT,
+            battery: 100,
+            timestamp: new Date(clock.millis()),
+        });
+        clock.advance(1000);
+    }
+}
+
+describe("PitCheckpoint", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("doesn't repeat a done action after a restore", () => {
+        const checkpointPath = path.join(dir, "checkpoint.json");
+        const clock = new SimulatedClock();
+        const pid = createPid(clock);
+        const done = [];
+        pid.on("probeDone", (data) => done.push(data));
+        runProbe(pid, clock, 204, 60);
+        assert.equal(done.length, 1);
+        assert.equal(pid.setPoint, 170);
+
+        new PitCheckpoint(pid, { path: checkpointPath }).save();
+        pid.stop();
+
+        const restored = createPid(clock);
+        const restoredDone = [];
+        restored.on("probeDone", (data) => restoredDone.push(data));
+        const checkpoint = new PitCheckpoint(restored, {
+            path: checkpointPath,
+        });
+        assert.equal(checkpoint.restore(), true);
+        assert.equal(restored.setPoint, 170);
+
+        const statuses = [];
+        restored.on("status", (status) => statuses.push(status));
+        runProbe(restored, clock, 204, 60);
+        restored.stop();
+        assert.deepEqual(restoredDone, []);
+        assert.equal(statuses.at(-1).probeDone.address, PROBE);
+        assert.equal(statuses.at(-1).probeDone.action, DONE_ACTION.HOLD);
+    });
+});
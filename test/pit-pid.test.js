@@ -0,0 +1,152 @@
+/*
+ * PitPID tests, run against PitSimulator on a SimulatedClock.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { PitPID, PIDMODE } from "../src/pit-pid.js";
+import PitSimulator from "../src/pit-simulator.js";
+import SimulatedClock from "../src/simulated-clock.js";
+import { FAHRENHEIT, CELSIUS } from "../src/utils.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// a PitPID in °F at 'setPoint', driving a simulated pit
+function createPit(setPoint = 225) {
+    const clock = new SimulatedClock();
+    const pid = new PitPID(clock);
+    pid.units = FAHRENHEIT;
+    pid.pid = { P: 2.5, I: 0.0035, D: 6 };
+    pid.fanMinSpeed = 0;
+    pid.setPoint = setPoint;
+    const sim = new PitSimulator(clock);
+    sim.connect(pid);
+    const statuses = [];
+    pid.on("status", (status) => statuses.push(status));
+    sim.start();
+    pid.start();
+    return { clock, pid, sim, statuses };
+}
+
+describe("PitPID", () => {
+    describe("out of fuel", () => {
+        it("doesn't clear on a small rise", () => {
+            const { clock, pid, sim } = createPit();
+            // a noisy pit probe
+            let count = 0;
+            sim.removeAllListeners("update");
+            sim.on("update", (data) =>
+                pid.updateProbe({
+                    ...data,
+                    ambient: data.ambient + ((count++ % 7) - 3) * 0.8,
+                })
+            );
+            const cleared = [];
+            pid.on("outOfFuelCleared", (data) => cleared.push(data.reason));
+
+            clock.advance(2 * HOUR);
+            sim.setFuel(0);
+            clock.advance(2 * HOUR);
+            assert.equal(pid.isOutOfFuel, true);
+
+            // a few degrees from the last embers
+            sim.setFuel(0.01);
+            clock.advance(HOUR);
+            assert.equal(pid.isOutOfFuel, true);
+            assert.deepEqual(cleared, []);
+
+            sim.setFuel(100);
+            clock.advance(HOUR);
+            assert.equal(pid.isOutOfFuel, false);
+            assert.deepEqual(cleared, ["recovered"]);
+        });
+    });
+
+    describe("off", () => {
+        for (const [mode, unused] of [
+            ["fan", "servo"],
+            ["servo", "fan"],
+        ]) {
+            it(`only commands the ${mode} in ${mode} mode`, () => {
+                const { clock, pid } = createPit();
+                pid.outputMode = mode;
+                clock.advance(60 * 1000);
+                const outputs = [];
+                pid.on("output", (output) => outputs.push(output.type));
+
+                pid.pidMode = PIDMODE.OFF;
+                clock.advance(60 * 1000);
+                assert.ok(outputs.includes(mode));
+                assert.ok(!outputs.includes(unused));
+            });
+        }
+    });
+
+    describe("fan mode", () => {
+        it("runs the fan below the fan's active floor", () => {
+            const { clock, pid, statuses } = createPit();
+            pid.outputMode = "fan";
+            pid.fanActiveFloor = 50;
+            const fanOutputs = [];
+            pid.on("output", (output) => {
+                if (output.type === "fan") {
+                    fanOutputs.push(output.value);
+                }
+            });
+
+            pid.pidOutPut = 40;
+            clock.advance(60 * 1000);
+            assert.ok(statuses.at(-1).fanPct > 0);
+            assert.ok(fanOutputs.some((value) => value > 0));
+        });
+    });
+
+    describe("autotune", () => {
+        it("reports an abort as 'aborted'", () => {
+            const { clock, pid } = createPit();
+            const reasons = [];
+            pid.on("autotuneAbort", (data) => reasons.push(data.reason));
+            pid.startAutotune();
+            clock.advance(60 * 1000);
+            assert.equal(pid.isAutotuning, true);
+
+            pid.abortAutotune();
+            assert.equal(pid.isAutotuning, false);
+            assert.equal(pid.pidMode, PIDMODE.STARTUP);
+            assert.deepEqual(reasons, ["aborted"]);
+        });
+    });
+
+    describe("pit temperature", () => {
+        it("accepts a numeric probe index for the pit probe", () => {
+            const { clock, pid } = createPit();
+            pid.pitTempStrategy = "probe";
+            pid.pitTempProbe = 1;
+            clock.advance(10 * 1000);
+            assert.equal(pid.pitTempProbe, "1");
+            assert.notEqual(pid.pitTemp, null);
+        });
+    });
+
+    describe("units", () => {
+        it("scales the gains to keep the output the same", () => {
+            const { clock, pid, sim, statuses } = createPit();
+            pid.gainSchedule = [{ mode: "startup", P: 5 }];
+            clock.advance(2 * HOUR);
+            const before = statuses.at(-1).pidOutput;
+
+            pid.units = CELSIUS;
+            sim.units = CELSIUS;
+            clock.advance(10 * 1000);
+
+            const gains = pid.pid;
+            assert.ok(Math.abs(gains.P - 4.5) < 1e-9);
+            assert.ok(Math.abs(gains.I - 0.0063) < 1e-9);
+            assert.ok(Math.abs(gains.D - 10.8) < 1e-9);
+            assert.ok(Math.abs(pid.gainSchedule[0].P - 9) < 1e-9);
+            assert.ok(Math.abs(statuses.at(-1).pidOutput - before) < 0.5);
+        });
+    });
+});
@@ -0,0 +1,218 @@
+/*
+ * SessionRecorder tests, recording into a temporary directory on a
+ * SimulatedClock.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import EventEmitter from "eventemitter3";
+import {
+    SessionRecorder,
+    SESSION_FORMAT,
+    RECORD_TYPE,
+} from "../src/session-recorder.js";
+import SimulatedClock from "../src/simulated-clock.js";
+
+const STATUS = {
+    mode: "NORMAL",
+    setPoint: 225,
+    pitTemp: 224.5,
+    pidOutput: 40,
+    fanPct: 40,
+    servoPct: 10,
+    lidOpen: false,
+    hasAlarm: false,
+    outOfFuel: false,
+    gainSet: 'Gentle, "near setpoint"', // quoted in CSV
+};
+
+const PROBE_UPDATE = {
+    probeIndex: "1",
+    address: "AA:BB:CC:DD:EE:01",
+    tip: 150.5,
+    ambient: 224,
+    units: "°F",
+    battery: 90,
+};
+
+// a stand-in for PitPID: a clock and 'status'/'output' events
+function createPid() {
+    const pid = new EventEmitter();
+    pid.clock = new SimulatedClock(Date.parse("2023-08-12T06:15:02Z"));
+    return pid;
+}
+
+describe("SessionRecorder", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    for (const format of Object.values(SESSION_FORMAT)) {
+        it(`reads back a ${format} session`, () => {
+            const pid = createPid();
+            const probe = new EventEmitter();
+            const recorder = new SessionRecorder(pid, { dir, format });
+            recorder.addProbe(probe);
+            recorder.start({ units: "F" });
+            const id = recorder.sessionId;
+
+            pid.emit("status", STATUS);
+            pid.clock.advance(1000);
+            pid.emit("output", { type: "fan", value: 40 });
+            probe.emit("update", PROBE_UPDATE);
+            recorder.stop("done");
+
+            const session = SessionRecorder.openSession(id, dir);
+            assert.equal(session.format, format);
+            assert.equal(session.stopReason, "done");
+            assert.deepEqual(session.config, { units: "F" });
+            assert.deepEqual(
+                session.records.map((record) => record.type),
+                [
+                    RECORD_TYPE.START,
+                    RECORD_TYPE.CONFIG,
+                    RECORD_TYPE.STATUS,
+                    RECORD_TYPE.OUTPUT,
+                    RECORD_TYPE.PROBE,
+                    RECORD_TYPE.STOP,
+                ]
+            );
+            const [, , status, output, update] = session.records;
+            assert.deepEqual(status, {
+                time: "2023-08-12T06:15:02.000Z",
+                type: RECORD_TYPE.STATUS,
+                ...STATUS,
+            });
+            assert.deepEqual(output, {
+                time: "2023-08-12T06:15:03.000Z",
+                type: RECORD_TYPE.OUTPUT,
+                output: "fan",
+                value: 40,
+            });
+            assert.deepEqual(update, {
+                time: "2023-08-12T06:15:03.000Z",
+                type: RECORD_TYPE.PROBE,
+                ...PROBE_UPDATE,
+            });
+        });
+    }
+
+    it("splits a session into parts of at most maxFileSize", () => {
+        const pid = createPid();
+        const recorder = new SessionRecorder(pid, {
+            dir,
+            format: SESSION_FORMAT.CSV,
+            maxFileSize: 1024,
+        });
+        recorder.start();
+        const id = recorder.sessionId;
+        for (let i = 0; i < 50; i++) {
+            pid.emit("status", { ...STATUS, pitTemp: 200 + i });
+            pid.clock.advance(1000);
+        }
+        recorder.stop();
+
+        const session = SessionRecorder.openSession(id, dir);
+        assert.ok(session.parts > 1);
+        for (let i = 0; i < session.parts; i++) {
+            const part = path.join(
+                dir,
+                id,
+                `part-${String(i).padStart(3, "0")}.csv`
+            );
+            const text = fs.readFileSync(part, "utf8");
+            assert.ok(Buffer.byteLength(text) <= 1024);
+            assert.ok(text.startsWith("time,type,"));
+        }
+        const temps = session.records
+            .filter((record) => record.type === RECORD_TYPE.STATUS)
+            .map((record) => record.pitTemp);
+        assert.deepEqual(
+            temps,
+            Array.from({ length: 50 }, (_, i) => 200 + i)
+        );
+    });
+
+    it("prunes the oldest sessions beyond maxSessions", () => {
+        const pid = createPid();
+        const recorder = new SessionRecorder(pid, { dir, maxSessions: 2 });
+        const ids = [];
+        for (let i = 0; i < 4; i++) {
+            recorder.start();
+            ids.push(recorder.sessionId);
+            recorder.stop();
+            pid.clock.advance(60 * 1000);
+        }
+        assert.deepEqual(
+            SessionRecorder.listSessions(dir).map((session) => session.id),
+            ids.slice(2)
+        );
+    });
+
+    it("prunes the oldest sessions beyond maxTotalSize", () => {
+        const pid = createPid();
+        const recorder = new SessionRecorder(pid, {
+            dir,
+            maxSessions: null,
+            maxTotalSize: 10000,
+        });
+        const ids = [];
+        for (let i = 0; i < 6; i++) {
+            recorder.start();
+            ids.push(recorder.sessionId);
+            for (let j = 0; j < 10; j++) {
+                pid.emit("status", STATUS);
+                pid.clock.advance(1000);
+            }
+            recorder.stop();
+            pid.clock.advance(60 * 1000);
+        }
+        // pruned when the last session started
+        const kept = SessionRecorder.listSessions(dir).map(
+            (session) => session.id
+        );
+        assert.ok(kept.length < ids.length);
+        assert.deepEqual(kept, ids.slice(ids.length - kept.length));
+    });
+
+    it("stops recording when a write fails", () => {
+        const pid = createPid();
+        const recorder = new SessionRecorder(pid, { dir });
+        recorder.start();
+        fs.rmSync(recorder.sessionDir, { recursive: true });
+
+        const warn = mock.method(console, "warn", () => {});
+        pid.emit("status", STATUS);
+        pid.clock.advance(1000);
+        pid.emit("status", STATUS);
+        warn.mock.restore();
+        assert.equal(warn.mock.callCount(), 1);
+        assert.equal(recorder.isRecording, false);
+        assert.equal(pid.listenerCount("status"), 0);
+        assert.equal(pid.listenerCount("output"), 0);
+    });
+
+    it("doesn't record when the directory can't be created", () => {
+        const pid = createPid();
+        const file = path.join(dir, "file");
+        fs.writeFileSync(file, "");
+        const recorder = new SessionRecorder(pid, { dir: file });
+        const warn = mock.method(console, "warn", () => {});
+        recorder.start();
+        warn.mock.restore();
+        assert.equal(warn.mock.callCount(), 1);
+        assert.equal(recorder.isRecording, false);
+        assert.equal(pid.listenerCount("status"), 0);
+    });
+});
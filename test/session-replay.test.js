@@ -0,0 +1,74 @@
+/*
+ * SessionReplay tests: a simulated cook recorded with SessionRecorder and
+ * replayed through a new PitPID.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import { PitPID } from "../src/pit-pid.js";
+import PitSimulator from "../src/pit-simulator.js";
+import { configurePitPID, ObjectConfig } from "../src/pit-config.js";
+import { SessionRecorder } from "../src/session-recorder.js";
+import SessionReplay from "../src/session-replay.js";
+import SimulatedClock from "../src/simulated-clock.js";
+
+const COOK_TIME = 30 * 60 * 1000;
+
+// record a cook of the simulated pit with the repository's config
+function recordCook(dir) {
+    const config = JSON.parse(fs.readFileSync("config/default.json", "utf8"));
+    config.setPoint = 225;
+    const clock = new SimulatedClock(Date.parse("2023-08-12T06:15:02Z"));
+    const pid = new PitPID(clock);
+    configurePitPID(pid, new ObjectConfig(config));
+    const sim = new PitSimulator(clock);
+    sim.connect(pid);
+
+    const recorder = new SessionRecorder(pid, { dir });
+    recorder.start(config);
+    recorder.addProbe(sim);
+    sim.start();
+    pid.start();
+    clock.advance(COOK_TIME);
+    pid.stop();
+    sim.stop();
+    const id = recorder.sessionId;
+    recorder.stop();
+    return SessionRecorder.openSession(id, dir);
+}
+
+describe("SessionReplay", () => {
+    let dir;
+    let session;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+        session = recordCook(dir);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("reproduces the recorded output without overrides", async () => {
+        const summary = await new SessionReplay(session).run();
+        assert.equal(summary.setPoint, 225);
+        assert.ok(summary.outputDiff < 1, `output diff ${summary.outputDiff}%`);
+        assert.ok(
+            Math.abs(summary.replayedEffort - summary.recordedEffort) < 1,
+            `effort ${summary.replayedEffort}% vs ${summary.recordedEffort}%`
+        );
+    });
+
+    it("reports the output change of an override", async () => {
+        const summary = await new SessionReplay(session, {
+            overrides: { PID: { P: 10 } },
+        }).run();
+        assert.ok(summary.outputDiff > 1, `output diff ${summary.outputDiff}%`);
+    });
+});
@@ -0,0 +1,121 @@
+/*
+ * Sysfs PWM driver tests, run against a temporary directory standing in for
+ * '/sys/class/pwm'.
+ *
+ * (c) 2023 -- Yuri -- MIT License
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { SysfsPwmDriver } from "../src/sysfs-pwm-driver.js";
+
+function createDriver(options) {
+    const pwm = new SysfsPwmDriver(options);
+    return new Promise((resolve, reject) => {
+        pwm.once("initialized", () => resolve(pwm));
+        pwm.once("error", reject);
+    });
+}
+
+describe("SysfsPwmDriver", () => {
+    let root;
+    let pwm;
+
+    const read = (channel, attribute) =>
+        fs.readFileSync(
+            path.join(root, "pwmchip0", `pwm${channel}`, attribute),
+            "utf8"
+        );
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "sysfs-pwm-"));
+        fs.mkdirSync(path.join(root, "pwmchip0"));
+        pwm = await createDriver({
+            root: root,
+            motorChannels: { 1: 0 },
+            servoChannels: { 3: 1 },
+            motorFrequency: 25000,
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it("exports and enables its channels", () => {
+        assert.equal(read(0, "period"), "40000");
+        assert.equal(read(1, "period"), "20000000");
+        for (const channel of [0, 1]) {
+            assert.equal(read(channel, "duty_cycle"), "0");
+            assert.equal(read(channel, "enable"), "1");
+        }
+        assert.equal(
+            fs.readFileSync(path.join(root, "pwmchip0", "export"), "utf8"),
+            "1"
+        );
+    });
+
+    it("refuses commands until initialized", async () => {
+        const uninitialized = new SysfsPwmDriver({ root: root });
+        assert.throws(
+            () => uninitialized.setMotorSpeed(1, 100),
+            /not initialized/
+        );
+        // let it finish before the directory is removed
+        await new Promise((resolve) =>
+            uninitialized.once("initialized", resolve)
+        );
+    });
+
+    it("scales the motor speed to the motor period", () => {
+        pwm.setMotorSpeed(1, 4095);
+        assert.equal(read(0, "duty_cycle"), "40000");
+        pwm.setMotorSpeed(1, 2048);
+        assert.equal(
+            read(0, "duty_cycle"),
+            String(Math.round((40000 * 2048) / 4095))
+        );
+        pwm.setMotorSpeed(1, -1);
+        assert.equal(read(0, "duty_cycle"), "0");
+    });
+
+    it("sets the servo pulse width in ns", () => {
+        pwm.setServoPosition(3, 1500);
+        assert.equal(read(1, "duty_cycle"), "1500000");
+        pwm.setServoPosition(3, 30000);
+        assert.equal(read(1, "duty_cycle"), "20000000");
+    });
+
+    it("stops the servo pulses", () => {
+        pwm.setServoPosition(3, 1500);
+        pwm.setServoOff(3);
+        assert.equal(read(1, "duty_cycle"), "0");
+        assert.equal(read(1, "enable"), "1");
+    });
+
+    it("zeroes and disables its channels when closed", () => {
+        pwm.setMotorSpeed(1, 2048);
+        pwm.setServoPosition(3, 1500);
+        pwm.close();
+        for (const channel of [0, 1]) {
+            assert.equal(read(channel, "duty_cycle"), "0");
+            assert.equal(read(channel, "enable"), "0");
+        }
+        assert.throws(() => pwm.setMotorSpeed(1, 100), /not initialized/);
+    });
+
+    it("rejects indices without a channel", () => {
+        assert.throws(
+            () => pwm.setMotorSpeed(2, 100),
+            /no PWM channel for motor/
+        );
+        assert.throws(
+            () => pwm.setServoPosition(4, 1500),
+            /no PWM channel for servo/
+        );
+        assert.throws(() => pwm.setServoOff(4), /no PWM channel for servo/);
+    });
+});